@@ -0,0 +1,600 @@
+/*
+ * Game Drop Rate Query System - app.js
+ * Single-page shell (app.html) routing #/item, #/monster, #/map and #/npc
+ *
+ * Key features:
+ * - Loads the selected version once and keeps it in memory across views,
+ *   showing download/parse/index progress instead of a frozen page
+ * - Views are registered by the query scripts (stditem.js, mon.js, map.js, npc.js)
+ *   and rendered from the <template id="view-..."> markup in app.html
+ * - A route may carry a record index, e.g. #/monster/12 opens that monster
+ * - Keeps each view's keyword and filters when switching between views
+ * - Detail and search result helpers shared by several views, including the
+ *   item detail panel opened from item rows (getStdInfo)
+ * - The detail panel traces NPC exchanges and crafting down to the monster
+ *   drops, as a tree of what each giving NPC takes (recipeTreeTrade)
+ */
+
+const MAX_CACHE_SIZE = 50; // Searches kept per view cache (see rememberSearchResult)
+
+// Labels of the loading stages reported by GameDataStore
+const LOADING_STAGES = {
+  download: "正在下载数据",
+  parse: "正在解析数据",
+  index: "正在建立索引",
+};
+
+// Show the loading state while the version data is downloaded, parsed and indexed
+function showLoadingProgress(stage, percent) {
+  $("#loadingState").show();
+  $("#loadingText").text(`${LOADING_STAGES[stage] || "正在加载数据"}... ${percent}%`);
+  $("#loadingBar").css("width", percent + "%");
+}
+
+const AppRouter = (function () {
+  const DEFAULT_ROUTE = "item";
+  const views = {};
+  let currentRoute = null;
+  let dataReady = null;
+
+  // Register a view: { template, title, init(state), search(), open(id) }
+  function registerView(name, view) {
+    views[name] = Object.assign({ state: null }, view);
+  }
+
+  // Read "#/monster/12" as { name: "monster", id: 12 }
+  function parseHash() {
+    const match = /^#\/(\w+)(?:\/(\d+))?/.exec(window.location.hash);
+    if (!match || !views[match[1]]) {
+      return { name: DEFAULT_ROUTE, id: null };
+    }
+    return { name: match[1], id: match[2] !== undefined ? parseInt(match[2], 10) : null };
+  }
+
+  // Remember the keyword and filters of the view being left. Checkbox groups are kept by
+  // their name as the list of checked values
+  function saveState(view) {
+    const state = {};
+    $("#main").find("input[id], select[id]").each(function () {
+      state[this.id] = $(this).val();
+    });
+    $("#main").find("input[type=checkbox][name]").each(function () {
+      state[this.name] = state[this.name] || [];
+      if (this.checked) {
+        state[this.name].push(this.value);
+      }
+    });
+    view.state = state;
+  }
+
+  function restoreState(view) {
+    if (!view.state) return;
+    for (const id of Object.keys(view.state)) {
+      // Checkbox groups are rendered and checked by the view's init, which gets the state
+      if (Array.isArray(view.state[id])) continue;
+      $("#main #" + id).val(view.state[id]);
+    }
+  }
+
+  // Replace #main with the view's markup
+  function renderView(name) {
+    if (currentRoute && views[currentRoute]) {
+      saveState(views[currentRoute]);
+    }
+
+    const view = views[name];
+    const template = document.getElementById(view.template);
+    const main = document.getElementById("main");
+    main.innerHTML = "";
+    if (template) {
+      main.appendChild(template.content.cloneNode(true));
+    }
+    restoreState(view);
+    currentRoute = name;
+
+    $("#menu .layui-nav-item[data-route]").each(function () {
+      $(this).toggleClass("layui-this", $(this).data("route") === name);
+    });
+    $("title").text(
+      "【" + safelyGetPropertyName(window, "indextitle", "爆率查询") + "】" + view.title
+    );
+
+    if (typeof view.init === "function") {
+      view.init(view.state);
+    }
+  }
+
+  // Show the view for the current hash, opening the record it names
+  function route() {
+    const target = parseHash();
+    const view = views[target.name];
+    const rendered = target.name !== currentRoute;
+    if (rendered) {
+      renderView(target.name);
+    }
+
+    dataReady.then(function (loaded) {
+      // Another route may have been rendered while the data was loading
+      if (!loaded || currentRoute !== target.name) return;
+      if (rendered) {
+        view.search();
+      }
+      if (target.id !== null && typeof view.open === "function") {
+        view.open(target.id);
+      }
+    });
+  }
+
+  // Switch view, optionally opening a record, e.g. navigate("map", 3)
+  function navigate(name, id) {
+    const hash = "#/" + name + (id !== undefined && id !== null ? "/" + id : "");
+    if (window.location.hash === hash) {
+      route();
+    } else {
+      window.location.hash = hash;
+    }
+  }
+
+  // Show a view with its keyword set to the given one and search it
+  function searchView(name, keyword) {
+    if (currentRoute === name) {
+      $("#main #key").val(keyword);
+      views[name].search();
+      return;
+    }
+    // The keyword is restored with the view's state when it is rendered
+    views[name].state = Object.assign({}, views[name].state, { key: keyword });
+    navigate(name);
+  }
+
+  function getCurrentRoute() {
+    return currentRoute;
+  }
+
+  function start() {
+    dataReady = GameDataStore.loadSelectedVersion(showLoadingProgress).then(function (loaded) {
+      $("#loadingState").hide();
+      return loaded;
+    });
+    $(window).on("hashchange", route);
+    // Windowed result lists show more or fewer rows when the page is resized
+    $(window).on("resize", function () {
+      if (virtualList) {
+        virtualList.start = -1;
+        renderVisibleRows();
+      }
+    });
+
+    // The views are rendered on demand, so their controls are bound by delegation
+    // Search result rows carry their record index in listId and open it in the current view,
+    // so rows rendered again from the search caches stay clickable
+    $(document).on("click", "#main #equList > [listId]", function () {
+      views[currentRoute].open(parseInt($(this).attr("listId"), 10));
+    });
+    $(document).on("click", "#main #search", function () {
+      views[currentRoute].search();
+    });
+    $(document).on("keypress", "#main #key", function (e) {
+      if (e.which === 13) {
+        views[currentRoute].search();
+      }
+    });
+
+    route();
+  }
+
+  return {
+    registerView: registerView,
+    navigate: navigate,
+    searchView: searchView,
+    getCurrentRoute: getCurrentRoute,
+    start: start,
+  };
+})();
+
+// Fill a search result row with "<number>、<name>", highlighting the characters the
+// keyword matched (positions from GameDataStore.matchByName)
+function renderResultName(element, number, name, positions) {
+  element.textContent = `${number}、`;
+  const matched = new Set(positions);
+  // Split the name into runs of matched and unmatched characters
+  let i = 0;
+  while (i < name.length) {
+    const isHit = matched.has(i);
+    let end = i + 1;
+    while (end < name.length && matched.has(end) === isHit) {
+      end++;
+    }
+    if (isHit) {
+      const hit = document.createElement("span");
+      hit.className = "search-hit";
+      hit.textContent = name.slice(i, end);
+      element.appendChild(hit);
+    } else {
+      element.appendChild(document.createTextNode(name.slice(i, end)));
+    }
+    i = end;
+  }
+}
+
+// Keep the matches of a search in a view's cache, dropping the oldest entry when it is full
+function rememberSearchResult(cache, key, matches) {
+  if (cache.size >= MAX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, matches);
+}
+
+const VIRTUAL_LIST_THRESHOLD = 200; // Longer result lists only keep their visible rows in the DOM
+const VIRTUAL_LIST_OVERSCAN = 20; // Rows rendered above and below the visible ones
+
+// Windowed rendering state of #equList: { container, scroller, listName, matches, rowHeight, start, end }
+let virtualList = null;
+
+// Create the row of one search match; clicks are handled by AppRouter through the listId attribute
+function createResultRow(listName, match) {
+  const record = GameDataStore.getRecord(listName, match.id);
+  const row = document.createElement("div");
+  row.className = "hove";
+  row.setAttribute("listId", match.id);
+  renderResultName(row, match.id + 1, safelyGetPropertyName(record, "name"), match.positions);
+  // Items show their category; "other" is left out as it tells players nothing
+  if (listName === "Stdlist") {
+    const category = GameDataStore.getItemCategory(match.id);
+    if (category !== "other") {
+      const badge = document.createElement("span");
+      badge.className = "item-badge";
+      badge.textContent = itemCategoryLabel(category);
+      row.appendChild(badge);
+    }
+  }
+  return row;
+}
+
+// Render search matches ({ id, positions } from GameDataStore.searchRecords) as the rows of
+// #equList. Long lists (all items or monsters with an empty keyword) are windowed: only the
+// rows scrolled into view are created, between spacers standing in for the others.
+// A plain keyword matching nothing shows the closest names instead (see renderSuggestions)
+function renderSearchResults(listName, matches, keyword) {
+  const container = document.getElementById("equList");
+  if (!container) {
+    console.error("Container element 'equList' not found");
+    return;
+  }
+  matches = matches.filter((match) => GameDataStore.getRecord(listName, match.id));
+
+  if (matches.length <= VIRTUAL_LIST_THRESHOLD) {
+    virtualList = null;
+    container.classList.remove("virtual-list");
+    // Create document fragment for efficient DOM manipulation
+    const fragment = document.createDocumentFragment();
+    for (const match of matches) {
+      fragment.appendChild(createResultRow(listName, match));
+    }
+    if (matches.length === 0 && keyword) {
+      renderSuggestions(fragment, listName, keyword);
+    }
+    container.innerHTML = "";
+    container.appendChild(fragment);
+    return;
+  }
+
+  // Rows are kept on one line so they all have the same height
+  container.classList.add("virtual-list");
+  const scroller = container.parentElement;
+  virtualList = {
+    container: container,
+    scroller: scroller,
+    listName: listName,
+    matches: matches,
+    rowHeight: measureResultRow(container, listName, matches[0]),
+    start: -1,
+    end: -1,
+  };
+  // The scroller keeps its scrollTop, so a changed filter shows the same part of the list
+  $(scroller)
+    .off("scroll.virtualList")
+    .on("scroll.virtualList", function () {
+      window.requestAnimationFrame(renderVisibleRows);
+    });
+  renderVisibleRows();
+}
+
+const MAX_SUGGESTIONS = 5; // "Did you mean" names shown for a keyword matching nothing
+
+// Add "did you mean" rows for a keyword matching nothing. Only plain keywords are corrected,
+// a query with qualifiers or negations may rightly match nothing
+function renderSuggestions(fragment, listName, keyword) {
+  const terms = parseSearchQuery(keyword);
+  if (terms.length !== 1 || terms[0].list || terms[0].negate) return;
+
+  const notice = document.createElement("div");
+  notice.className = "search-suggestion-title";
+  const suggestions = GameDataStore.suggestByName(listName, terms[0].value, MAX_SUGGESTIONS);
+  if (suggestions.length === 0) {
+    notice.textContent = `没有找到“${terms[0].value}”`;
+    fragment.appendChild(notice);
+    return;
+  }
+  notice.textContent = `没有找到“${terms[0].value}”，您是不是要找：`;
+  fragment.appendChild(notice);
+  for (const suggestion of suggestions) {
+    fragment.appendChild(createResultRow(listName, { id: suggestion.id, positions: [] }));
+  }
+}
+
+// Height of one result row, measured with a probe row added to the current content so the
+// scroll position is not lost
+function measureResultRow(container, listName, match) {
+  const row = container.appendChild(createResultRow(listName, match));
+  const height = row.offsetHeight;
+  container.removeChild(row);
+  return height || 22;
+}
+
+function createSpacer(height) {
+  const spacer = document.createElement("div");
+  spacer.className = "virtual-spacer";
+  spacer.style.height = height + "px";
+  return spacer;
+}
+
+// Render the rows of the windowed list currently scrolled into view
+function renderVisibleRows() {
+  const list = virtualList;
+  // The view may have been left since the list was rendered
+  if (!list || document.getElementById("equList") !== list.container) return;
+
+  const { container, scroller, rowHeight, matches } = list;
+  // Offset of the list inside the scrolled content, e.g. the field box padding
+  const listTop =
+    container.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+  const top = scroller.scrollTop - listTop;
+  const start = Math.max(0, Math.floor(top / rowHeight) - VIRTUAL_LIST_OVERSCAN);
+  const end = Math.min(
+    matches.length,
+    Math.ceil((top + scroller.clientHeight) / rowHeight) + VIRTUAL_LIST_OVERSCAN
+  );
+  if (start === list.start && end === list.end) return;
+  list.start = start;
+  list.end = end;
+
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(createSpacer(start * rowHeight));
+  for (let i = start; i < end; i++) {
+    fragment.appendChild(createResultRow(list.listName, matches[i]));
+  }
+  fragment.appendChild(createSpacer((matches.length - end) * rowHeight));
+  container.innerHTML = "";
+  container.appendChild(fragment);
+}
+
+// Stdlist fields shown in their own sections of the item detail panel
+const ITEM_INFO_LISTED_FIELDS = ["name", "mon", "npc", "rate", "count"];
+
+// Index of the open item detail panel, from layer.open
+let itemInfoLayer = null;
+
+// Close the item detail panel and show a record in its view
+function openFromItemInfo(route, id) {
+  if (itemInfoLayer !== null) {
+    layer.close(itemInfoLayer);
+    itemInfoLayer = null;
+  }
+  AppRouter.navigate(route, id);
+}
+
+// One clickable row of the item detail panel
+function itemInfoRow(route, id, text) {
+  return `<div class="hove" onclick="openFromItemInfo('${route}', ${id})">${sanitizeInput(text)}</div>`;
+}
+
+// One section of the item detail panel, with its entry count
+function itemInfoSection(title, rows) {
+  return (
+    `<div class="item-info-section"><div class="item-info-title">${title}（${rows.length}）</div>` +
+    (rows.length > 0 ? rows.join("") : "<div>没有</div>") +
+    "</div>"
+  );
+}
+
+function npcInfoLabel(npcId) {
+  const npc = GameDataStore.getRecord("Npclist", npcId);
+  const name = safelyGetPropertyName(npc, "name", `NPC${npcId}`);
+  const mapName = safelyGetPropertyName(npc, "mname", "");
+  return mapName ? `${name}【${mapName}(${safelyGetPropertyName(npc, "mxy", "")})】` : name;
+}
+
+const RECIPE_TREE_DROPS_SHOWN = 3; // Monsters listed under each item of the trade tree
+
+// One item of the trade tree (GameDataStore.getItemSourceTree) with its best drops and,
+// nested below, the NPC trades giving it. Clicking the item opens its own panel
+function recipeTreeItem(node) {
+  const item = GameDataStore.getRecord("Stdlist", node.itemId);
+  let label = safelyGetPropertyName(item, "name", `物品${node.itemId}`);
+  if (node.cycle) {
+    label += "（循环兑换，见上层）";
+  } else if (node.truncated) {
+    label += "（层级过多，点击查看）";
+  } else if (node.drops.length === 0 && node.recipes.length === 0) {
+    label += "（没有获取途径）";
+  }
+
+  let html = `<div class="recipe-tree-node"><div class="hove" onclick="getStdInfo(${node.itemId})">${sanitizeInput(label)}</div>`;
+  if (node.drops.length > 0) {
+    const monsters = node.drops.slice(0, RECIPE_TREE_DROPS_SHOWN).map((drop) => {
+      const monster = GameDataStore.getRecord("Monlist", GameDataStore.getMonsterIndex(drop.monId));
+      return safelyGetPropertyName(monster, "name", `怪物${drop.monId}`) + formatDropLabel(drop);
+    });
+    const more = node.drops.length > RECIPE_TREE_DROPS_SHOWN ? `等${node.drops.length}个怪物` : "";
+    html += `<div class="recipe-tree-drops">怪物掉落：${sanitizeInput(monsters.join("、") + more)}</div>`;
+  }
+  return html + node.recipes.map(recipeTreeTrade).join("") + "</div>";
+}
+
+// One NPC trade of the tree: the NPC and the items it takes in exchange
+function recipeTreeTrade(recipe) {
+  const takes = recipe.ingredients.length > 0 || recipe.truncated;
+  const label = npcInfoLabel(recipe.npcId) + (takes ? " 收取：" : " 直接给予");
+  return (
+    '<div class="recipe-tree-trade">' +
+    itemInfoRow("npc", recipe.npcId, label) +
+    recipe.ingredients.map(recipeTreeItem).join("") +
+    (recipe.truncated ? '<div class="recipe-tree-node recipe-tree-drops">……（物品过多，未全部列出）</div>' : "") +
+    "</div>"
+  );
+}
+
+// Get information about selected item: a panel listing the monsters dropping it, the NPCs
+// giving it with what they take in exchange (recursively, down to the monster drops), the
+// NPCs taking it and the other fields of its record. Opens from item rows in any view
+function getStdInfo(stdId) {
+  const itemId = parseInt(stdId, 10);
+  const item = GameDataStore.getRecord("Stdlist", itemId);
+  if (!item) {
+    return;
+  }
+  // Without layui's layer the item view is the closest thing to a detail panel
+  if (typeof layer === "undefined") {
+    AppRouter.navigate("item", itemId);
+    return;
+  }
+
+  // Monsters dropping it, most likely first
+  const monsterRows = GameDataStore.getItemDrops(itemId).map((drop) => {
+    const monIndex = GameDataStore.getMonsterIndex(drop.monId);
+    const monster = GameDataStore.getRecord("Monlist", monIndex);
+    const name = safelyGetPropertyName(monster, "name", `怪物${drop.monId}`);
+    return itemInfoRow("monster", monIndex, name + formatDropLabel(drop));
+  });
+
+  // NPCs giving it, each with the tree of what it takes
+  const npcs = GameDataStore.getItemNpcs(itemId);
+  const giveRows = GameDataStore.getItemSourceTree(itemId).recipes.map(recipeTreeTrade);
+  const takeRows = npcs.take.map((npcId) => itemInfoRow("npc", npcId, npcInfoLabel(npcId)));
+
+  // Any other field the version's data carries for the item
+  const attributeRows = [];
+  for (const field of Object.keys(item)) {
+    if (ITEM_INFO_LISTED_FIELDS.includes(field)) continue;
+    attributeRows.push(
+      `<div>${sanitizeInput(field)}：${sanitizeInput(safelyGetPropertyName(item, field))}</div>`
+    );
+  }
+
+  const content =
+    '<div class="item-info">' +
+    itemInfoSection("掉落怪物", monsterRows) +
+    itemInfoSection("NPC给予", giveRows) +
+    itemInfoSection("NPC收取", takeRows) +
+    itemInfoSection("其他属性", attributeRows) +
+    '<div class="item-info-actions">' +
+    `<span class="hove" onclick="openFromItemInfo('item', ${itemId})">【在物品查询中查看】</span>` +
+    `<span class="hove" onclick="openFromItemInfo('plan', ${itemId})">【加入刷怪规划】</span>` +
+    favoriteToggleHtml("Stdlist", itemId) +
+    "</div></div>";
+
+  if (itemInfoLayer !== null) {
+    layer.close(itemInfoLayer);
+  }
+  itemInfoLayer = layer.open({
+    type: 1,
+    title: sanitizeInput(item.name || `物品${itemId}`),
+    shadeClose: true,
+    area: [Math.min(500, window.innerWidth - 20) + "px", Math.min(560, window.innerHeight - 20) + "px"],
+    content: content,
+    end: function () {
+      itemInfoLayer = null;
+    },
+  });
+}
+
+// Get path information for the selected map
+function getPathByMap(mapId) {
+  $("#mapTransferList").html("");
+
+  // Safely get map name and display
+  const map = GameDataStore.getRecord("Maplist", mapId);
+  if (!map) {
+    return;
+  }
+
+  let mapName = "";
+  if (map.name) {
+    // Use textContent to prevent XSS, then wrap in span for styling
+    const span = document.createElement("span");
+    span.style.color = "orangered";
+    span.textContent = map.name;
+    mapName = span.outerHTML + "&emsp;";
+  }
+
+  // Update mapTransferTitle safely using DOM manipulation
+  const mapTransferTitleContainer = document.getElementById("mapTransferTitle");
+  mapTransferTitleContainer.innerHTML = "";
+  mapTransferTitleContainer.insertAdjacentHTML("afterbegin", mapName);
+  mapTransferTitleContainer.insertAdjacentText(
+    "beforeend",
+    "跑图流程（没有信息说明此地图是触发进入）"
+  );
+
+  // Create document fragment for efficient DOM manipulation
+  const fragment = document.createDocumentFragment();
+  let hasContent = false;
+
+  for (const npcId of parseIdList(map.npc)) {
+    const npc = GameDataStore.getRecord("Npclist", npcId);
+    if (npc) {
+      const npcName = safelyGetPropertyName(npc, "name", `NPC${npcId}`);
+      const npcMapName = safelyGetPropertyName(npc, "mname", "");
+      const npcMapPoint = safelyGetPropertyName(npc, "mxy", "");
+
+      // Create fieldset element for NPC info
+      const fieldset = document.createElement("fieldset");
+      fieldset.className = "layui-elem-field";
+
+      const legend = document.createElement("legend");
+      legend.textContent = "NPC直传";
+      fieldset.appendChild(legend);
+
+      const div = document.createElement("div");
+      div.className = "layui-field-box";
+      div.textContent = `${npcName}【${npcMapName}(${npcMapPoint})】`;
+      fieldset.appendChild(div);
+
+      if (hasContent) {
+        fragment.appendChild(document.createElement("br"));
+      }
+      fragment.appendChild(fieldset);
+      hasContent = true;
+    }
+  }
+
+  for (const path of parseTextList(map.path)) {
+    if (hasContent) {
+      fragment.appendChild(document.createElement("br"));
+    }
+
+    // Create fieldset element for path info
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "layui-elem-field";
+
+    const legend = document.createElement("legend");
+    legend.textContent = "跑图路线";
+    fieldset.appendChild(legend);
+
+    const div = document.createElement("div");
+    div.className = "layui-field-box";
+    div.textContent = path;
+    fieldset.appendChild(div);
+
+    fragment.appendChild(fieldset);
+    hasContent = true;
+  }
+
+  document.getElementById("mapTransferList").appendChild(fragment);
+}
+
+// Start routing once every view script has registered itself
+$(function () {
+  AppRouter.start();
+});
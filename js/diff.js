@@ -0,0 +1,325 @@
+/*
+ * Game Drop Rate Query System - diff.js
+ * Compares two versions' data for patch notes and regression checks
+ *
+ * Key features:
+ * - Either side can be a version from version_list or a local data file
+ *   (.json in the native format or a legacy .js script), so two revisions
+ *   of the same version file can be compared
+ * - Records are matched by name because list indices shift between releases
+ * - Lists added/removed items, monsters whose drops changed, maps whose
+ *   path/npc changed and NPCs whose take/give changed
+ * - Builds plain-text patch notes from the result
+ */
+
+// Last comparison result, kept for the patch notes button
+let lastDiff = null;
+
+// Load one side of the comparison: the chosen local file if any, otherwise the selected version
+function loadDiffSide(side) {
+  const fileInput = document.getElementById(side + "File");
+  const file = fileInput && fileInput.files && fileInput.files[0];
+  if (file) {
+    return readLocalFile(file).then((text) => ({
+      label: file.name,
+      data: normalizeGameData(parseDataFile(file.name, text)),
+    }));
+  }
+
+  const version = $("#" + side + "Version").val();
+  if (!isValidVersion(version)) {
+    return Promise.reject(new Error("无效的游戏版本"));
+  }
+  return GameDataStore.fetchVersionData(version).then((data) => ({
+    label: $("#" + side + "Version option:selected").text(),
+    data: data,
+  }));
+}
+
+// Match the records of two lists by key; duplicate keys are paired in list order
+function pairRecords(oldList, newList, keyFn) {
+  const oldByKey = new Map();
+  for (let i = 0; i < oldList.length; i++) {
+    if (!oldList[i]) continue;
+    const key = keyFn(oldList[i]);
+    if (!oldByKey.has(key)) {
+      oldByKey.set(key, []);
+    }
+    oldByKey.get(key).push(i);
+  }
+
+  const result = { added: [], removed: [], pairs: [] };
+  for (let i = 0; i < newList.length; i++) {
+    if (!newList[i]) continue;
+    const candidates = oldByKey.get(keyFn(newList[i]));
+    if (candidates && candidates.length > 0) {
+      result.pairs.push([candidates.shift(), i]);
+    } else {
+      result.added.push(i);
+    }
+  }
+  for (const indices of oldByKey.values()) {
+    result.removed.push(...indices);
+  }
+  result.removed.sort((a, b) => a - b);
+  return result;
+}
+
+// Entries of newValues missing from oldValues and the other way round
+function diffValues(oldValues, newValues) {
+  const oldSet = new Set(oldValues);
+  const newSet = new Set(newValues);
+  return {
+    added: newValues.filter((value) => !oldSet.has(value)),
+    removed: oldValues.filter((value) => !newSet.has(value)),
+  };
+}
+
+function recordName(list, id, fallback) {
+  return safelyGetPropertyName(list[id], "name", fallback + id);
+}
+
+// NPC names are not unique (every town has a 仓库管理员), so the map is part of the key
+function npcLabel(npc) {
+  const name = safelyGetPropertyName(npc, "name");
+  const mapName = safelyGetPropertyName(npc, "mname");
+  return mapName ? `${name}(${mapName})` : name;
+}
+
+// Item names dropped by each monster index, with their drop labels
+function collectMonsterDrops(data) {
+  const dropsByMonster = new Map();
+  for (let i = 0; i < data.Stdlist.length; i++) {
+    const item = data.Stdlist[i];
+    if (!item) continue;
+    for (const drop of readItemDrops(item)) {
+      if (!dropsByMonster.has(drop.monId)) {
+        dropsByMonster.set(drop.monId, new Map());
+      }
+      dropsByMonster.get(drop.monId).set(item.name, formatDropLabel(drop));
+    }
+  }
+  return dropsByMonster;
+}
+
+// Compare two versions' data, returning what was added, removed and changed per list
+function diffGameData(oldData, newData) {
+  const byName = (record) => safelyGetPropertyName(record, "name");
+  const result = {};
+
+  // Items
+  const items = pairRecords(oldData.Stdlist, newData.Stdlist, byName);
+  result.items = {
+    added: items.added.map((i) => newData.Stdlist[i].name),
+    removed: items.removed.map((i) => oldData.Stdlist[i].name),
+  };
+
+  // Monsters and their drop lists. An empty Monlist is derived from Stdlist.mon as the loader
+  // does, and drops are looked up by monster ID (monsterRecordId)
+  const monlist = (data) => (data.Monlist.length > 0 ? data.Monlist : deriveMonlist(data.Stdlist));
+  const oldMonlist = monlist(oldData);
+  const newMonlist = monlist(newData);
+  const monsters = pairRecords(oldMonlist, newMonlist, byName);
+  const oldDrops = collectMonsterDrops(oldData);
+  const newDrops = collectMonsterDrops(newData);
+  result.monsters = {
+    added: monsters.added.map((i) => newMonlist[i].name),
+    removed: monsters.removed.map((i) => oldMonlist[i].name),
+    changed: [],
+  };
+  for (const [oldIndex, newIndex] of monsters.pairs) {
+    const before = oldDrops.get(monsterRecordId(oldMonlist[oldIndex], oldIndex)) || new Map();
+    const after = newDrops.get(monsterRecordId(newMonlist[newIndex], newIndex)) || new Map();
+    const change = diffValues([...before.keys()], [...after.keys()]);
+    change.added = change.added.map((name) => name + after.get(name));
+    change.removed = change.removed.map((name) => name + before.get(name));
+    change.rates = [];
+    for (const [name, label] of after) {
+      if (before.has(name) && before.get(name) !== label) {
+        change.rates.push(`${name}${before.get(name) || "【?】"}→${label || "【?】"}`);
+      }
+    }
+    if (change.added.length || change.removed.length || change.rates.length) {
+      change.name = newMonlist[newIndex].name;
+      result.monsters.changed.push(change);
+    }
+  }
+
+  // Maps: routes and the NPCs that teleport there
+  const maps = pairRecords(oldData.Maplist, newData.Maplist, byName);
+  const npcNames = (data, ids) => ids.map((id) => data.Npclist[id] ? npcLabel(data.Npclist[id]) : "NPC" + id);
+  result.maps = {
+    added: maps.added.map((i) => newData.Maplist[i].name),
+    removed: maps.removed.map((i) => oldData.Maplist[i].name),
+    changed: [],
+  };
+  for (const [oldId, newId] of maps.pairs) {
+    const before = oldData.Maplist[oldId];
+    const after = newData.Maplist[newId];
+    const path = diffValues(parseTextList(before.path), parseTextList(after.path));
+    const npc = diffValues(
+      npcNames(oldData, parseIdList(before.npc)),
+      npcNames(newData, parseIdList(after.npc))
+    );
+    if (path.added.length || path.removed.length || npc.added.length || npc.removed.length) {
+      result.maps.changed.push({ name: after.name, path: path, npc: npc });
+    }
+  }
+
+  // NPCs: what they take and give
+  const npcs = pairRecords(oldData.Npclist, newData.Npclist, npcLabel);
+  const itemNames = (data, ids) => ids.map((id) => recordName(data.Stdlist, id, "物品"));
+  result.npcs = {
+    added: npcs.added.map((i) => npcLabel(newData.Npclist[i])),
+    removed: npcs.removed.map((i) => npcLabel(oldData.Npclist[i])),
+    changed: [],
+  };
+  for (const [oldId, newId] of npcs.pairs) {
+    const before = oldData.Npclist[oldId];
+    const after = newData.Npclist[newId];
+    const take = diffValues(itemNames(oldData, parseIdList(before.take)), itemNames(newData, parseIdList(after.take)));
+    const give = diffValues(itemNames(oldData, parseIdList(before.give)), itemNames(newData, parseIdList(after.give)));
+    if (take.added.length || take.removed.length || give.added.length || give.removed.length) {
+      result.npcs.changed.push({ name: npcLabel(after), take: take, give: give });
+    }
+  }
+
+  return result;
+}
+
+// Number of differences in one section
+function countChanges(section) {
+  return section.added.length + section.removed.length + (section.changed ? section.changed.length : 0);
+}
+
+// Render "+a -b" lines for one changed field
+function renderFieldChange(label, change) {
+  let html = "";
+  for (const value of change.added) {
+    html += `<div class="diff-added">${label}+ ${sanitizeInput(value)}</div>`;
+  }
+  for (const value of change.removed) {
+    html += `<div class="diff-removed">${label}- ${sanitizeInput(value)}</div>`;
+  }
+  return html;
+}
+
+// Render one list's section into its container
+function renderDiffSection(containerId, section, renderChange) {
+  let html = renderFieldChange("", section);
+  if (section.changed) {
+    for (const change of section.changed) {
+      html += `<div class="diff-changed"><div class="diff-name">${sanitizeInput(change.name)}</div>${renderChange(change)}</div>`;
+    }
+  }
+  $("#" + containerId).html(html || "没有变化");
+}
+
+function renderDiff(result, oldLabel, newLabel) {
+  $("#diffSummary").text(
+    `${oldLabel} → ${newLabel}：物品 ${countChanges(result.items)} 处，怪物 ${countChanges(result.monsters)} 处，` +
+      `地图 ${countChanges(result.maps)} 处，NPC ${countChanges(result.npcs)} 处变化`
+  );
+
+  renderDiffSection("itemDiff", result.items);
+  renderDiffSection("monDiff", result.monsters, (change) =>
+    renderFieldChange("掉落", change) +
+      change.rates.map((rate) => `<div class="diff-rate">爆率 ${sanitizeInput(rate)}</div>`).join("")
+  );
+  renderDiffSection("mapDiff", result.maps, (change) =>
+    renderFieldChange("跑图", change.path) + renderFieldChange("NPC直传", change.npc)
+  );
+  renderDiffSection("npcDiff", result.npcs, (change) =>
+    renderFieldChange("收取", change.take) + renderFieldChange("给予", change.give)
+  );
+}
+
+// Plain-text patch notes for the last comparison
+function buildPatchNotes(result) {
+  const lines = [];
+  const list = (title, values) => {
+    if (values.length > 0) {
+      lines.push(`【${title}】`, ...values.map((value) => "  " + value));
+    }
+  };
+  const fields = (prefix, change) => [
+    ...change.added.map((value) => `${prefix}+ ${value}`),
+    ...change.removed.map((value) => `${prefix}- ${value}`),
+  ];
+
+  list("新增物品", result.items.added);
+  list("删除物品", result.items.removed);
+  list("新增怪物", result.monsters.added);
+  list("删除怪物", result.monsters.removed);
+  list(
+    "怪物掉落调整",
+    result.monsters.changed.map((change) =>
+      `${change.name}：${[...fields("", change), ...change.rates].join("，")}`
+    )
+  );
+  list("新增地图", result.maps.added);
+  list("删除地图", result.maps.removed);
+  list(
+    "地图调整",
+    result.maps.changed.map((change) =>
+      `${change.name}：${[...fields("跑图", change.path), ...fields("NPC直传", change.npc)].join("，")}`
+    )
+  );
+  list("新增NPC", result.npcs.added);
+  list("删除NPC", result.npcs.removed);
+  list(
+    "NPC调整",
+    result.npcs.changed.map((change) =>
+      `${change.name}：${[...fields("收取", change.take), ...fields("给予", change.give)].join("，")}`
+    )
+  );
+  return lines.length > 0 ? lines.join("\n") : "两份数据没有差异";
+}
+
+// Load both sides and show their differences
+function compareVersions() {
+  $("#diffSummary").text("正在加载数据...");
+  $("#itemDiff, #monDiff, #mapDiff, #npcDiff").html("");
+  lastDiff = null;
+
+  Promise.all([loadDiffSide("old"), loadDiffSide("new")])
+    .then(([oldSide, newSide]) => {
+      lastDiff = diffGameData(oldSide.data, newSide.data);
+      renderDiff(lastDiff, oldSide.label, newSide.label);
+    })
+    .catch((error) => {
+      console.error("Failed to compare data:", error);
+      $("#diffSummary").text("无法加载数据：" + error.message);
+    });
+}
+
+// Show the patch notes in a dialog so they can be copied
+function showPatchNotes() {
+  if (!lastDiff) {
+    layer.msg("请先对比数据");
+    return;
+  }
+  const textarea = document.createElement("textarea");
+  textarea.className = "layui-textarea";
+  textarea.style.height = "100%";
+  textarea.readOnly = true;
+  textarea.textContent = buildPatchNotes(lastDiff);
+  layer.open({
+    type: 1,
+    title: "更新说明",
+    shadeClose: true,
+    area: ["600px", "500px"],
+    content: textarea.outerHTML,
+  });
+}
+
+$(function () {
+  fillVersionSelect("#oldVersion, #newVersion");
+  $("#compare").click(compareVersions);
+  $("#patchNotes").click(showPatchNotes);
+
+  // Clear a picked file so its side falls back to the selected version
+  $(".diff-clear-file").click(function () {
+    $("#" + $(this).data("side") + "File").val("");
+  });
+});
@@ -0,0 +1,220 @@
+/*
+ * Game Drop Rate Query System - favorites.js
+ * Starred items, monsters, maps and NPCs ("我的收藏"), registered as #/favorites
+ *
+ * Key features:
+ * - Records are starred from their views and the item detail panel (favoriteToggleHtml)
+ * - Stars are kept in localStorage per version (the version_data cookie), so each
+ *   version has its own list that survives closing the browser
+ * - Stars remember the record's name, so they still find it when a data update
+ *   moves it to another index
+ * - The panel shows each starred record with where it currently comes from
+ */
+
+// Lists that can be starred, the view opening their records and the column listing them
+const FAVORITE_GROUPS = [
+  { list: "Stdlist", route: "item", column: "#favoriteItems" },
+  { list: "Monlist", route: "monster", column: "#favoriteMonsters" },
+  { list: "Maplist", route: "map", column: "#favoriteMaps" },
+  { list: "Npclist", route: "npc", column: "#favoriteNpcs" },
+];
+
+const FAVORITE_SOURCES_SHOWN = 3; // Sources listed under each starred record
+
+// Current indices of the stars per list, resolved once and kept until the stars or the loaded
+// data change, so drawing many toggles does not read localStorage and resolve every star each time
+let starredIndices = null;
+
+// "我的收藏" view (app.html#/favorites)
+AppRouter.registerView("favorites", {
+  template: "view-favorites",
+  title: "我的收藏",
+  search: renderFavorites,
+});
+
+// localStorage key of the selected version's stars
+function favoritesStorageKey() {
+  return "favorites_" + ($.cookie("version_data") || "");
+}
+
+// Stars of the selected version as { Stdlist: [{ id, name }], Monlist: [...], ... }
+function readFavorites() {
+  const favorites = {};
+  let stored = null;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(favoritesStorageKey()));
+  } catch (e) {
+    console.warn("Failed to read favorites:", e);
+  }
+  for (const group of FAVORITE_GROUPS) {
+    const entries = stored && Array.isArray(stored[group.list]) ? stored[group.list] : [];
+    favorites[group.list] = entries.filter((entry) => entry && typeof entry.id === "number");
+  }
+  return favorites;
+}
+
+function writeFavorites(favorites) {
+  starredIndices = null;
+  try {
+    window.localStorage.setItem(favoritesStorageKey(), JSON.stringify(favorites));
+  } catch (e) {
+    // Storage disabled (some private browsing modes) or full; the change is then lost
+    console.warn("Failed to save favorites:", e);
+  }
+}
+
+// Current index of a starred record: its stored index while the name there still matches,
+// otherwise the record with that exact name, or -1 when the data no longer has it
+function resolveFavorite(listName, entry) {
+  const record = GameDataStore.getRecord(listName, entry.id);
+  if (record && record.name === entry.name) {
+    return entry.id;
+  }
+  const match = GameDataStore.matchByName(listName, entry.name || "", true).find(
+    (candidate) => GameDataStore.getRecord(listName, candidate.id).name === entry.name
+  );
+  return match ? match.id : -1;
+}
+
+function isFavorite(listName, id) {
+  const items = GameDataStore.getList("Stdlist");
+  if (!starredIndices || starredIndices.key !== favoritesStorageKey() || starredIndices.items !== items) {
+    const favorites = readFavorites();
+    starredIndices = { key: favoritesStorageKey(), items: items };
+    for (const group of FAVORITE_GROUPS) {
+      starredIndices[group.list] = new Set(favorites[group.list].map((entry) => resolveFavorite(group.list, entry)));
+    }
+  }
+  return starredIndices[listName].has(id);
+}
+
+// Star or unstar a record, updating its toggles on the page and the open panel
+function toggleFavorite(listName, id) {
+  const favorites = readFavorites();
+  const entries = favorites[listName];
+  const index = entries.findIndex((entry) => resolveFavorite(listName, entry) === id);
+  if (index !== -1) {
+    entries.splice(index, 1);
+  } else {
+    const record = GameDataStore.getRecord(listName, id);
+    if (!record) return;
+    entries.push({ id: id, name: record.name });
+  }
+  writeFavorites(favorites);
+
+  $(`.favorite-toggle[data-list="${listName}"][data-id="${id}"]`).replaceWith(favoriteToggleHtml(listName, id));
+  if (AppRouter.getCurrentRoute() === "favorites") {
+    renderFavorites();
+  }
+}
+
+// Drop a star whose record the data no longer has
+function removeFavoriteEntry(listName, position) {
+  const favorites = readFavorites();
+  favorites[listName].splice(position, 1);
+  writeFavorites(favorites);
+  renderFavorites();
+}
+
+// 【☆收藏】/【★已收藏】 toggle for a record's title
+function favoriteToggleHtml(listName, id) {
+  const starred = isFavorite(listName, id);
+  return (
+    `<span class="hove favorite-toggle" data-list="${listName}" data-id="${parseInt(id, 10)}">` +
+    `${starred ? "【★已收藏】" : "【☆收藏】"}</span>`
+  );
+}
+
+// Where a starred record currently comes from, as short lines of text
+function describeFavoriteSources(listName, id) {
+  const record = GameDataStore.getRecord(listName, id);
+  const name = (list, recordId, fallback) =>
+    safelyGetPropertyName(GameDataStore.getRecord(list, recordId), "name", fallback + recordId);
+  const list = (names, total, unit) =>
+    names.join("、") + (total > names.length ? `等${total}${unit}` : "");
+
+  if (listName === "Stdlist") {
+    const lines = [];
+    const drops = GameDataStore.getItemDrops(id);
+    if (drops.length > 0) {
+      const monsters = drops
+        .slice(0, FAVORITE_SOURCES_SHOWN)
+        .map((drop) => name("Monlist", GameDataStore.getMonsterIndex(drop.monId), "怪物") + formatDropLabel(drop));
+      lines.push("掉落：" + list(monsters, drops.length, "个怪物"));
+    }
+    const givers = GameDataStore.getItemNpcs(id).give;
+    if (givers.length > 0) {
+      const npcs = givers.slice(0, FAVORITE_SOURCES_SHOWN).map((npcId) => name("Npclist", npcId, "NPC"));
+      lines.push("NPC给予：" + list(npcs, givers.length, "个NPC"));
+    }
+    return lines.length > 0 ? lines : ["暂无掉落或NPC来源"];
+  }
+
+  if (listName === "Monlist") {
+    const mapIds = parseIdList(record.map).filter((mapId) => GameDataStore.getRecord("Maplist", mapId));
+    const maps = mapIds.slice(0, FAVORITE_SOURCES_SHOWN).map((mapId) => name("Maplist", mapId, "地图"));
+    const dropCount = GameDataStore.getMonsterDrops(GameDataStore.getMonsterId(id)).length;
+    return [mapIds.length > 0 ? "刷新：" + list(maps, mapIds.length, "张地图") : "不在任何地图刷出", `掉落${dropCount}种物品`];
+  }
+
+  if (listName === "Maplist") {
+    const monsterCount = GameDataStore.getMonstersByMap(id).length;
+    const itemCount = GameDataStore.getMapLoot(id).length;
+    return [`${monsterCount}种怪物，可获得${itemCount}种物品`];
+  }
+
+  const lines = [];
+  if (record.mname) {
+    lines.push(`位置：${record.mname}${record.mxy ? `(${record.mxy})` : ""}`);
+  }
+  lines.push(`收取${parseIdList(record.take).length}种物品，给予${parseIdList(record.give).length}种物品`);
+  return lines;
+}
+
+// Render every star of the selected version, grouped by list
+function renderFavorites() {
+  const favorites = readFavorites();
+  for (const group of FAVORITE_GROUPS) {
+    const fragment = document.createDocumentFragment();
+    favorites[group.list].forEach((entry, position) => {
+      const id = resolveFavorite(group.list, entry);
+      const row = document.createElement("div");
+      row.className = "favorite-entry";
+
+      const title = document.createElement("span");
+      if (id === -1) {
+        // Kept until removed, so a star survives a data file that is briefly broken
+        title.className = "hove favorite-missing";
+        title.textContent = `${position + 1}、${entry.name || ""}（当前数据中没有，点击移除）`;
+        title.onclick = () => removeFavoriteEntry(group.list, position);
+        row.appendChild(title);
+      } else {
+        title.className = "hove";
+        title.textContent = `${position + 1}、${safelyGetPropertyName(GameDataStore.getRecord(group.list, id), "name")}`;
+        title.onclick = () => AppRouter.navigate(group.route, id);
+        row.appendChild(title);
+        row.insertAdjacentHTML("beforeend", favoriteToggleHtml(group.list, id));
+
+        for (const line of describeFavoriteSources(group.list, id)) {
+          const source = document.createElement("div");
+          source.className = "favorite-source";
+          source.textContent = line;
+          row.appendChild(source);
+        }
+      }
+      fragment.appendChild(row);
+    });
+
+    const column = $(group.column);
+    column.html(favorites[group.list].length > 0 ? "" : "还没有收藏");
+    column.append(fragment);
+  }
+}
+
+$(function () {
+  // Toggles are rendered as HTML in titles and panels, so their clicks are delegated
+  $(document).on("click", ".favorite-toggle", function (e) {
+    e.stopPropagation();
+    toggleFavorite($(this).data("list"), parseInt($(this).data("id"), 10));
+  });
+});
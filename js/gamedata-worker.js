@@ -0,0 +1,26 @@
+/*
+ * Game Drop Rate Query System - gamedata-worker.js
+ * Web Worker that parses, repairs and indexes a version's data file
+ *
+ * Key features:
+ * - Reuses the parser and index builder from gamedata.js (prepareGameData),
+ *   with pinyin-pro for the pinyin readings of the name index and opencc-js
+ *   for its Simplified forms
+ * - Keeps the page responsive while large versions are loaded
+ * - Posts { id, type: "progress", stage, percent } while working, then
+ *   { id, type: "done", data, indexes } or { id, type: "error", message }
+ */
+
+importScripts("/pinyin-pro/3.29.4/index.js", "/opencc-js/1.4.2/t2cn.js", "gamedata.js");
+
+self.onmessage = function (event) {
+  const id = event.data.id;
+  try {
+    const prepared = prepareGameData(event.data.fileName, event.data.text, (stage, percent) => {
+      self.postMessage({ id: id, type: "progress", stage: stage, percent: percent });
+    });
+    self.postMessage({ id: id, type: "done", data: prepared.data, indexes: prepared.indexes });
+  } catch (e) {
+    self.postMessage({ id: id, type: "error", message: e.message });
+  }
+};
@@ -0,0 +1,1781 @@
+/*
+ * Game Drop Rate Query System - gamedata.js
+ * Shared game data store used by every query page
+ *
+ * Key features:
+ * - Loads the selected version's data file once and validates it
+ * - Prefers native JSON data (data/<Version>.json, see data/schema.json)
+ *   and falls back to the legacy data/<Version>.js script
+ * - Reads legacy data scripts with a literal-only parser instead of eval
+ * - Holds Stdlist/Monlist/Maplist/Npclist behind a single query API
+ * - Builds the name, monster, NPC and map indexes shared by all pages
+ * - Caches parsed data and indexes in IndexedDB until the data file changes
+ * - Parses and indexes in a Web Worker (gamedata-worker.js), reporting progress
+ * - Shared input sanitization, validation and fuzzy matching helpers
+ * - Search results are ranked exact > prefix > substring > fuzzy and carry the
+ *   matched positions for highlighting
+ * - Names can also be searched by pinyin or its initials (caijue, cj),
+ *   using the readings precomputed by pinyin-pro when the index is built
+ * - Close names are suggested for keywords matching nothing (edit distance
+ *   over the characters and the pinyin of the names)
+ * - Traditional and Simplified characters match each other (opencc-js),
+ *   while the pages keep showing the names as written in the data
+ * - Query syntax for the search boxes: mon:/map:/npc:/item: qualifiers,
+ *   -negation and "quoted phrases" (parseSearchQuery, searchRecords)
+ * - Item categories (武器, 戒指, 药品...) from the type or StdMode of the data,
+ *   guessed from the name for data files that carry neither (itemCategory)
+ */
+
+// Utility functions for sanitization and validation
+function sanitizeInput(input) {
+  if (typeof input !== "string") {
+    return "";
+  }
+  return input.replace(/[<>'\"&]/g, function (match) {
+    switch (match) {
+      case "<":
+        return "&lt;";
+      case ">":
+        return "&gt;";
+      case "&":
+        return "&amp;";
+      case '"':
+        return "&quot;";
+      case "'":
+        return "&#x27;";
+    }
+  });
+}
+
+function isValidVersion(version) {
+  if (typeof version !== "string" || version.length === 0) return false;
+  // Check against the configured version list to ensure it's valid
+  if (typeof window.version_list !== "undefined") {
+    return window.version_list.some((v) => v.data === version);
+  }
+  return /^[A-Za-z0-9_]+$/.test(version); // Basic regex validation
+}
+
+function sanitizedName(name) {
+  // Ensure the name consists only of allowed characters for security
+  return name.replace(/[^A-Za-z0-9_\u4e00-\u9fa5]/g, "");
+}
+
+// Function to safely get property values from objects
+function safelyGetPropertyName(obj, prop, defaultValue = "") {
+  try {
+    if (obj && typeof obj === "object" && obj !== null && prop in obj) {
+      const value = obj[prop];
+      // Handle null, undefined, and other non-string/number values safely
+      if (value === null || value === undefined) {
+        return defaultValue;
+      }
+      if (typeof value === "string" || typeof value === "number") {
+        return value.toString();
+      }
+      // For other types, convert to string safely
+      return String(value);
+    }
+    return defaultValue;
+  } catch (error) {
+    console.warn("Error accessing property", prop, error);
+    return defaultValue;
+  }
+}
+
+// Traditional to Simplified converter from opencc-js, created on first use
+let toSimplifiedChinese = null;
+
+// Form of a name or keyword used for matching: lower-cased, with Traditional characters
+// turned Simplified so 龍 and 龙 match. Match positions index into the original name, so a
+// conversion changing the length is not used
+function normalizeSearchText(text) {
+  const lower = String(text || "").toLowerCase();
+  if (typeof OpenCC === "undefined" || !/[\u3400-\u9fff]/.test(lower)) {
+    return lower;
+  }
+  if (!toSimplifiedChinese) {
+    toSimplifiedChinese = OpenCC.Converter({ from: "t", to: "cn" });
+  }
+  const simplified = toSimplifiedChinese(lower);
+  return simplified.length === lower.length ? simplified : lower;
+}
+
+// Pinyin readings of each character of a name, e.g. "长剑" → [["chang", "zhang"], ["jian"]].
+// Polyphonic characters keep every reading. Returns null without pinyin-pro or Chinese characters
+function readNamePinyin(name) {
+  if (typeof pinyinPro === "undefined" || !/[\u4e00-\u9fa5]/.test(name)) {
+    return null;
+  }
+  return pinyinPro
+    .polyphonic(name, { toneType: "none", type: "array" })
+    .map((readings) => readings.map((reading) => reading.toLowerCase()));
+}
+
+// Lower-cased latin keyword without the spaces and apostrophes of "cai jue" or "xi'an",
+// or "" when the keyword cannot be pinyin
+function toPinyinKeyword(keyword) {
+  const lowerKeyword = (keyword || "").toLowerCase();
+  return /^[a-z' ]+$/.test(lowerKeyword) ? lowerKeyword.replace(/[' ]/g, "") : "";
+}
+
+// Match a pinyin keyword against a name's readings - each character may be typed as its
+// full pinyin or a prefix of it (裁决之杖: caijue, cj, caijzz), skipping characters like
+// the fuzzy match of findNamePositions. Returns the positions of the characters typed, or null without a match
+function matchPinyin(readings, needle) {
+  if (!needle || !readings) return needle ? null : [];
+
+  // States already tried, as charIndex * (needle.length + 1) + needleIndex
+  const tried = new Set();
+  const positions = [];
+  function matchFrom(charIndex, needleIndex) {
+    if (needleIndex === needle.length) return true;
+    if (charIndex === readings.length) return false;
+    const state = charIndex * (needle.length + 1) + needleIndex;
+    if (tried.has(state)) return false;
+    tried.add(state);
+
+    positions.push(charIndex);
+    for (const reading of readings[charIndex]) {
+      let length = 0;
+      while (
+        length < reading.length &&
+        needleIndex + length < needle.length &&
+        reading.charAt(length) === needle.charAt(needleIndex + length)
+      ) {
+        length++;
+        if (matchFrom(charIndex + 1, needleIndex + length)) return true;
+      }
+    }
+    positions.pop();
+    return matchFrom(charIndex + 1, needleIndex);
+  }
+  return matchFrom(0, 0) ? positions : null;
+}
+
+// Positions of the keyword in a lower-cased name: the first substring occurrence if any,
+// otherwise (unless exact) the characters found in order by a fuzzy match, or null without a match
+function findNamePositions(name, keyword, exact) {
+  const positions = [];
+  const start = name.indexOf(keyword);
+  if (start >= 0) {
+    for (let i = 0; i < keyword.length; i++) {
+      positions.push(start + i);
+    }
+    return positions;
+  }
+  if (exact) return null;
+
+  let needleIndex = 0;
+  for (let i = 0; i < name.length && needleIndex < keyword.length; i++) {
+    if (name.charAt(i) === keyword.charAt(needleIndex)) {
+      positions.push(i);
+      needleIndex++;
+    }
+  }
+  return needleIndex === keyword.length ? positions : null;
+}
+
+// Match quality of a search result, best first
+const MATCH_RANK = {
+  exact: 0,
+  prefix: 1,
+  substring: 2,
+  fuzzy: 3,
+};
+
+// Rank a match from the positions it covers in a name of the given length
+function rankNameMatch(positions, nameLength) {
+  const contiguous = positions[positions.length - 1] - positions[0] === positions.length - 1;
+  if (!contiguous) return MATCH_RANK.fuzzy;
+  if (positions[0] !== 0) return MATCH_RANK.substring;
+  return positions.length === nameLength ? MATCH_RANK.exact : MATCH_RANK.prefix;
+}
+
+// Levenshtein distance between two strings, or maxDistance + 1 once it is certain to exceed it
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Edits allowed between a keyword and a suggested name: about one per three characters
+function maxSuggestionDistance(keyword) {
+  return Math.max(1, Math.floor(keyword.length / 3));
+}
+
+// Qualifiers of the search syntax and the list their value is searched in
+const QUERY_FIELDS = {
+  item: "Stdlist",
+  mon: "Monlist",
+  map: "Maplist",
+  npc: "Npclist",
+};
+
+// Split a search box query into terms: plain keywords, "quoted phrases" matched as written,
+// qualifiers (mon:骷髅, map:"比奇省", npc:) and negations (-npc:). Returns
+// [{ list, value, exact, negate }] where list is the QUERY_FIELDS list of a qualifier or null
+function parseSearchQuery(query) {
+  const terms = [];
+  // Full-width colons and quotes are accepted since phone keyboards insert them
+  const pattern = /(-?)(?:([a-z]+)[:：])?(?:["“]([^"”]*)["”]?|(\S*))/gi;
+  let match;
+  while ((match = pattern.exec(query || "")) !== null) {
+    // The value may be empty (npc:), so skip the empty matches between terms
+    if (match[0] === "") {
+      pattern.lastIndex++;
+      continue;
+    }
+    const field = match[2] ? match[2].toLowerCase() : "";
+    const exact = match[3] !== undefined;
+    let value = exact ? match[3] : match[4];
+    let list = null;
+    if (QUERY_FIELDS[field]) {
+      list = QUERY_FIELDS[field];
+    } else if (field) {
+      // Not a qualifier, e.g. a name containing a colon
+      value = match[0].slice(match[1].length);
+    }
+    value = value.trim().toLowerCase();
+    // An empty qualifier (npc:) matches every record of its list, an empty keyword nothing
+    if (value !== "" || list) {
+      terms.push({ list: list, value: value, exact: exact, negate: match[1] === "-" });
+    }
+  }
+  return terms;
+}
+
+// Split a comma separated ID field ("12,15" or "-1") into numeric IDs
+function parseIdList(value) {
+  if (value === undefined || value === null) return [];
+  const text = String(value);
+  if (text === "" || text === "-1") return [];
+
+  const ids = [];
+  const parts = text.split(",");
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] !== "") {
+      const id = parseInt(parts[i], 10);
+      if (!isNaN(id)) {
+        ids.push(id);
+      }
+    }
+  }
+  return ids;
+}
+
+// Split a comma separated text field such as a map's path into its entries
+function parseTextList(value) {
+  if (value === undefined || value === null) return [];
+  const text = String(value);
+  if (text === "" || text === "-1") return [];
+  return text.split(",").filter((entry) => entry !== "");
+}
+
+// Parse a drop chance such as "1/100" or "0.01" into a probability, null when unknown
+function parseDropRate(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+
+  const fraction = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(text);
+  if (fraction) {
+    const denominator = Number(fraction[2]);
+    return denominator > 0 ? Math.min(Number(fraction[1]) / denominator, 1) : null;
+  }
+
+  const probability = Number(text);
+  if (text !== "" && !isNaN(probability) && probability > 0 && probability <= 1) {
+    return probability;
+  }
+  return null;
+}
+
+// Format a probability the way players read it, e.g. 1/250
+function formatDropRate(chance) {
+  if (chance === null || chance === undefined) return "";
+  if (chance >= 1) return "1/1";
+  return "1/" + Math.round(1 / chance);
+}
+
+// Short "【1/250 ×2】" label for a drop entry, empty when neither is known
+function formatDropLabel(drop) {
+  const parts = [];
+  if (drop.chance !== null) parts.push(formatDropRate(drop.chance));
+  if (drop.count > 1) parts.push("×" + drop.count);
+  return parts.length > 0 ? `【${parts.join(" ")}】` : "";
+}
+
+// Most likely drops first; drops without a known chance keep their data order at the end
+function compareDropChance(a, b) {
+  if (a.chance === b.chance) return 0;
+  if (a.chance === null) return 1;
+  if (b.chance === null) return -1;
+  return b.chance - a.chance;
+}
+
+// Read an item's drop sources; rate and count are optional lists aligned with mon
+function readItemDrops(item) {
+  if (!item.mon || item.mon === "-1") return [];
+  const monIds = String(item.mon).split(",");
+  const rates = item.rate ? String(item.rate).split(",") : [];
+  const counts = item.count ? String(item.count).split(",") : [];
+
+  const drops = [];
+  for (let k = 0; k < monIds.length; k++) {
+    const monId = parseInt(monIds[k], 10);
+    if (monIds[k] === "" || isNaN(monId)) continue;
+    const count = parseInt(counts[k], 10);
+    drops.push({
+      monId: monId,
+      chance: parseDropRate(rates[k]),
+      count: count > 0 ? count : 1,
+    });
+  }
+  return drops;
+}
+
+// Item categories in display order, with the StdItems StdMode values belonging to each
+const ITEM_CATEGORIES = [
+  { key: "weapon", label: "武器", stdmodes: [5, 6] },
+  { key: "armour", label: "衣服", stdmodes: [10, 11] },
+  { key: "helmet", label: "头盔", stdmodes: [15, 16] },
+  { key: "necklace", label: "项链", stdmodes: [19, 20, 21] },
+  { key: "ring", label: "戒指", stdmodes: [22, 23] },
+  { key: "bracelet", label: "手镯", stdmodes: [24, 26] },
+  { key: "boots", label: "鞋子", stdmodes: [52, 62] },
+  { key: "belt", label: "腰带", stdmodes: [54, 64] },
+  { key: "consumable", label: "药品", stdmodes: [0, 1, 2, 3, 25] },
+  { key: "material", label: "材料", stdmodes: [40, 42, 43] },
+  { key: "book", label: "书籍", stdmodes: [4] },
+  { key: "other", label: "其他", stdmodes: [] },
+];
+
+// Name patterns for items without a stdmode or type, most specific first
+// (so the skill book 攻杀剑术 is not taken for a weapon)
+const ITEM_CATEGORY_NAME_PATTERNS = [
+  { key: "ring", pattern: /戒指|戒$/ },
+  { key: "bracelet", pattern: /手镯|手套|护腕|手环/ },
+  { key: "necklace", pattern: /项链|明珠|竹笛|铃铛|吊坠/ },
+  { key: "helmet", pattern: /头盔|斗笠|帽$|盔$/ },
+  { key: "boots", pattern: /靴|鞋/ },
+  { key: "belt", pattern: /腰带/ },
+  { key: "book", pattern: /书$|秘籍|术$/ },
+  { key: "consumable", pattern: /药|卷|水$|符$|粉$/ },
+  { key: "material", pattern: /矿|石$|肉$|原料|材料/ },
+  { key: "armour", pattern: /衣|甲|袍|铠/ },
+  { key: "weapon", pattern: /剑|刀|杖|斧|锏|扇|棍|枪|刃|锤|匕首|镰|戟|钩|鞭/ },
+];
+
+// Category key of an item: its type, else its stdmode, else a guess from its name ("other" when unknown)
+function itemCategory(item) {
+  if (!item) return "other";
+  if (item.type !== undefined && item.type !== null) {
+    const type = String(item.type).trim();
+    const byType = ITEM_CATEGORIES.find((category) => category.key === type || category.label === type);
+    if (byType) return byType.key;
+  }
+
+  const stdmode = item.stdmode === undefined || item.stdmode === null || item.stdmode === "" ? NaN : Number(item.stdmode);
+  if (!isNaN(stdmode)) {
+    const byStdmode = ITEM_CATEGORIES.find((category) => category.stdmodes.includes(stdmode));
+    return byStdmode ? byStdmode.key : "other";
+  }
+
+  const name = normalizeSearchText(typeof item.name === "string" ? item.name : "");
+  const byName = ITEM_CATEGORY_NAME_PATTERNS.find((entry) => entry.pattern.test(name));
+  return byName ? byName.key : "other";
+}
+
+// Display name of a category key, e.g. 戒指 for "ring"
+function itemCategoryLabel(key) {
+  const category = ITEM_CATEGORIES.find((entry) => entry.key === key);
+  return category ? category.label : key;
+}
+
+// Number of array elements between two parse progress reports
+const PARSE_PROGRESS_INTERVAL = 2000;
+
+// Variables a legacy data script is allowed to declare
+const DATA_SCRIPT_VARIABLES = ["DataName", "Stdlist", "Monlist", "Maplist", "Npclist"];
+
+// Eval-free parser for legacy data scripts. Only understands
+// `var|let|const <name> = <literal>;` statements for the names above, where the
+// literal is built from objects, arrays, strings, numbers, true/false/null.
+// Anything else is rejected so the pages can run under a CSP without 'unsafe-eval'.
+function parseDataScript(text, onProgress) {
+  let pos = 0;
+  let elementsRead = 0;
+  const result = {};
+
+  function fail(message) {
+    const line = text.slice(0, pos).split("\n").length;
+    throw new Error(`${message} (第${line}行)`);
+  }
+
+  // Skip whitespace and comments
+  function skipSpace() {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === "/" && text[pos + 1] === "/") {
+        const end = text.indexOf("\n", pos);
+        pos = end === -1 ? text.length : end + 1;
+      } else if (ch === "/" && text[pos + 1] === "*") {
+        const end = text.indexOf("*/", pos + 2);
+        if (end === -1) fail("注释没有结束");
+        pos = end + 2;
+      } else if (/\s/.test(ch) || ch === "\uFEFF") {
+        pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function readIdentifier() {
+    const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(text.slice(pos, pos + 64));
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  }
+
+  function expect(ch) {
+    skipSpace();
+    if (text[pos] !== ch) fail(`应为 "${ch}"`);
+    pos++;
+  }
+
+  function readString() {
+    const quote = text[pos++];
+    let value = "";
+    while (pos < text.length) {
+      const ch = text[pos++];
+      if (ch === quote) return value;
+      if (ch === "\n" && quote !== "`") fail("字符串没有结束");
+      if (ch === "$" && quote === "`" && text[pos] === "{") fail("不支持模板表达式");
+      if (ch !== "\\") {
+        value += ch;
+        continue;
+      }
+      const esc = text[pos++];
+      switch (esc) {
+        case "n": value += "\n"; break;
+        case "t": value += "\t"; break;
+        case "r": value += "\r"; break;
+        case "b": value += "\b"; break;
+        case "f": value += "\f"; break;
+        case "v": value += "\v"; break;
+        case "0": value += "\0"; break;
+        case "\r":
+          if (text[pos] === "\n") pos++;
+          break;
+        case "\n": break; // Line continuation
+        case "x":
+        case "u": {
+          let hex;
+          if (esc === "u" && text[pos] === "{") {
+            const end = text.indexOf("}", pos);
+            hex = end === -1 ? "" : text.slice(pos + 1, end);
+            pos = end + 1;
+          } else {
+            hex = text.slice(pos, pos + (esc === "x" ? 2 : 4));
+            pos += hex.length;
+          }
+          if (!/^[0-9a-fA-F]+$/.test(hex)) fail("无效的转义字符");
+          value += String.fromCodePoint(parseInt(hex, 16));
+          break;
+        }
+        default:
+          value += esc;
+      }
+    }
+    fail("字符串没有结束");
+  }
+
+  function readNumber() {
+    const match = /^-?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/.exec(
+      text.slice(pos, pos + 64)
+    );
+    if (!match) fail("无效的数字");
+    pos += match[0].length;
+    // Number() rejects signed hex, so apply the sign separately
+    return match[0][0] === "-" ? -Number(match[0].slice(1)) : Number(match[0]);
+  }
+
+  function setProperty(obj, key, value) {
+    if (key === "__proto__") {
+      Object.defineProperty(obj, key, { value: value, enumerable: true, writable: true, configurable: true });
+    } else {
+      obj[key] = value;
+    }
+  }
+
+  function readValue() {
+    skipSpace();
+    const ch = text[pos];
+    if (ch === "{") return readObject();
+    if (ch === "[") return readArray();
+    if (ch === '"' || ch === "'" || ch === "`") return readString();
+    if (ch === "-" || ch === "." || (ch >= "0" && ch <= "9")) return readNumber();
+
+    const word = readIdentifier();
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (word === "null") return null;
+    if (word === "undefined") return undefined;
+    return fail("只允许字面量数据");
+  }
+
+  function readArray() {
+    const list = [];
+    pos++;
+    for (;;) {
+      skipSpace();
+      if (text[pos] === "]") {
+        pos++;
+        return list;
+      }
+      list.push(readValue());
+      // Report the share of the text read so far every few thousand elements
+      if (onProgress && ++elementsRead % PARSE_PROGRESS_INTERVAL === 0) {
+        onProgress(pos / text.length);
+      }
+      skipSpace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] !== "]") {
+        fail('应为 "," 或 "]"');
+      }
+    }
+  }
+
+  function readObject() {
+    const obj = {};
+    pos++;
+    for (;;) {
+      skipSpace();
+      if (text[pos] === "}") {
+        pos++;
+        return obj;
+      }
+      const ch = text[pos];
+      let key;
+      if (ch === '"' || ch === "'") {
+        key = readString();
+      } else if (ch >= "0" && ch <= "9") {
+        key = String(readNumber());
+      } else {
+        key = readIdentifier();
+        if (key === null) fail("无效的属性名");
+      }
+      expect(":");
+      setProperty(obj, key, readValue());
+      skipSpace();
+      if (text[pos] === ",") {
+        pos++;
+      } else if (text[pos] !== "}") {
+        fail('应为 "," 或 "}"');
+      }
+    }
+  }
+
+  for (;;) {
+    skipSpace();
+    if (pos >= text.length) break;
+    if (text[pos] === ";") {
+      pos++;
+      continue;
+    }
+
+    const keyword = readIdentifier();
+    if (keyword !== "var" && keyword !== "let" && keyword !== "const") {
+      fail("只允许 var 声明");
+    }
+    // Allow `var a = ..., b = ...;` as well as one declaration per statement
+    let valueEnd = pos;
+    for (;;) {
+      skipSpace();
+      const name = readIdentifier();
+      if (!DATA_SCRIPT_VARIABLES.includes(name)) {
+        fail(`不支持的变量: ${name}`);
+      }
+      expect("=");
+      result[name] = readValue();
+      valueEnd = pos;
+      skipSpace();
+      if (text[pos] !== ",") break;
+      pos++;
+    }
+    // A line break ends the statement like a ";" does (automatic semicolon insertion)
+    const lineBreak = /[\n\r\u2028\u2029]/.test(text.slice(valueEnd, pos));
+    if (pos < text.length && text[pos] !== ";" && !lineBreak) {
+      fail('应为 ";"');
+    }
+  }
+
+  return result;
+}
+
+// Parse game data safely from the response text
+function parseGameData(dataText, onProgress) {
+  try {
+    const declared = parseDataScript(dataText, onProgress);
+    return {
+      DataName: declared.DataName,
+      Stdlist: declared.Stdlist,
+      Monlist: declared.Monlist,
+      Maplist: declared.Maplist,
+      Npclist: declared.Npclist,
+    };
+  } catch (e) {
+    console.error("Error parsing data:", e);
+    throw new Error("Failed to parse game data: " + e.message);
+  }
+}
+
+// Fields that hold comma separated lists in the legacy list records
+const LEGACY_LIST_FIELDS = {
+  Stdlist: ["mon", "npc", "rate", "count"],
+  Monlist: ["map", "bot", "std"],
+  Maplist: ["path", "npc", "dingshi"],
+  Npclist: ["take", "give", "move"],
+};
+
+// Join a JSON array back into the legacy comma separated form ("-1" when empty)
+function joinLegacyList(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(",") : "-1";
+  }
+  if (value === undefined || value === null) {
+    return "-1";
+  }
+  return String(value);
+}
+
+// Convert data/<Version>.json (see data/schema.json) into the Stdlist/Monlist/Maplist/Npclist structure
+function convertJsonGameData(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("数据格式验证失败");
+  }
+
+  function convertList(records, listName) {
+    if (!Array.isArray(records)) {
+      return records;
+    }
+    return records.map((record) => {
+      if (!record || typeof record !== "object") {
+        return record;
+      }
+      // Keep any extra attributes and only rewrite the list fields
+      const converted = Object.assign({}, record);
+      for (const field of LEGACY_LIST_FIELDS[listName]) {
+        converted[field] = joinLegacyList(record[field]);
+      }
+      return converted;
+    });
+  }
+
+  return {
+    DataName: json.DataName,
+    Stdlist: convertList(json.items, "Stdlist"),
+    Monlist: convertList(json.monsters, "Monlist"),
+    Maplist: convertList(json.maps, "Maplist"),
+    Npclist: convertList(json.npcs, "Npclist"),
+  };
+}
+
+// Parse a version data file picked by the user: .json files use the native format, anything else the legacy script
+function parseDataFile(fileName, text, onProgress) {
+  if (/\.json$/i.test(fileName)) {
+    try {
+      return convertJsonGameData(JSON.parse(text));
+    } catch (e) {
+      throw new Error("Failed to parse game data: " + e.message);
+    }
+  }
+  return parseGameData(text, onProgress);
+}
+
+// Read a File object picked in an <input type="file"> as text
+function readLocalFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error("无法读取文件"));
+    reader.readAsText(file);
+  });
+}
+
+// Display names of the lists, used in validation messages
+const GAME_LIST_LABELS = {
+  Stdlist: "物品",
+  Monlist: "怪物",
+  Maplist: "地图",
+  Npclist: "NPC",
+};
+
+// ID fields and the list their IDs point into
+const REFERENCE_FIELDS = {
+  Stdlist: { mon: "Monlist", npc: "Npclist" },
+  Monlist: { map: "Maplist", std: "Stdlist" },
+  Maplist: { npc: "Npclist" },
+  Npclist: { take: "Stdlist", give: "Stdlist", move: "Maplist" },
+};
+
+// List fields every record must have, since the pages read them without checking; the other list fields are optional
+const REQUIRED_FIELDS = {
+  Stdlist: ["mon", "npc"],
+  Monlist: ["map"],
+  Maplist: [],
+  Npclist: [],
+};
+
+// Text fields besides name that pages read as strings
+const TEXT_FIELDS = {
+  Stdlist: [],
+  Monlist: [],
+  Maplist: [],
+  Npclist: ["mname", "mxy"],
+};
+
+// Repair the records that would break the pages so the rest of the version still loads.
+// Throws only when the lists themselves are missing; records are repaired, never removed, so IDs stay stable
+function normalizeGameData(data) {
+  if (!data || typeof data !== "object") {
+    throw new Error("数据格式验证失败");
+  }
+  const normalized = { DataName: typeof data.DataName === "string" ? data.DataName : "" };
+  let repaired = 0;
+
+  for (const listName of Object.keys(GAME_LIST_LABELS)) {
+    const list = data[listName];
+    if (!Array.isArray(list)) {
+      throw new Error("数据格式验证失败");
+    }
+
+    normalized[listName] = list.map((record) => {
+      let fixed = record && typeof record === "object" && !Array.isArray(record) ? record : {};
+      const fix = (field, value) => {
+        if (fixed === record) fixed = Object.assign({}, record);
+        fixed[field] = value;
+      };
+
+      if (typeof fixed.name !== "string") {
+        fix("name", typeof fixed.name === "number" ? String(fixed.name) : "");
+      }
+      for (const field of LEGACY_LIST_FIELDS[listName]) {
+        const value = fixed[field];
+        if (typeof value !== "string" && (value !== undefined || REQUIRED_FIELDS[listName].includes(field))) {
+          fix(field, joinLegacyList(value));
+        }
+      }
+      for (const field of TEXT_FIELDS[listName]) {
+        if (fixed[field] !== undefined && typeof fixed[field] !== "string") {
+          fix(field, String(fixed[field]));
+        }
+      }
+
+      if (fixed !== record) repaired++;
+      return fixed;
+    });
+  }
+
+  if (repaired > 0) {
+    console.warn(`${repaired} records were repaired while loading, see validate.html for details`);
+  }
+  return normalized;
+}
+
+// List every problem in a version's data as { list, index, name, field, message }
+function validateGameData(data) {
+  const problems = [];
+  if (!data || typeof data !== "object") {
+    problems.push({ list: "", index: -1, name: "", field: "", message: "数据文件为空或不是对象" });
+    return problems;
+  }
+
+  const lists = {};
+  for (const listName of Object.keys(GAME_LIST_LABELS)) {
+    if (Array.isArray(data[listName])) {
+      lists[listName] = data[listName];
+    } else {
+      lists[listName] = [];
+      problems.push({ list: listName, index: -1, name: "", field: "", message: `缺少 ${listName} 列表` });
+    }
+  }
+
+  // Stdlist.mon holds monster IDs, not Monlist indices
+  const monsterIds = new Set(lists.Monlist.map(monsterRecordId));
+
+  for (const listName of Object.keys(GAME_LIST_LABELS)) {
+    const list = lists[listName];
+    const seenNames = new Map();
+
+    for (let i = 0; i < list.length; i++) {
+      const record = list[i];
+      const report = (field, message) =>
+        problems.push({
+          list: listName,
+          index: i,
+          name: record && typeof record.name === "string" ? record.name : "",
+          field: field,
+          message: message,
+        });
+
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        report("", "记录不是对象");
+        continue;
+      }
+
+      // Names
+      if (typeof record.name !== "string") {
+        report("name", "名称不是字符串");
+      } else if (record.name.trim() === "") {
+        report("name", "名称为空");
+      } else {
+        // NPCs share names across towns, so only the same name on the same map counts as a duplicate
+        const key = listName === "Npclist" ? `${record.name}@${record.mname || ""}` : record.name;
+        if (seenNames.has(key)) {
+          report("name", `与第${seenNames.get(key)}条重名`);
+        } else {
+          seenNames.set(key, i);
+        }
+      }
+
+      // Comma separated fields
+      for (const field of LEGACY_LIST_FIELDS[listName]) {
+        const value = record[field];
+        if (value === undefined) {
+          if (REQUIRED_FIELDS[listName].includes(field)) report(field, "缺少字段");
+          continue;
+        }
+        if (typeof value !== "string") {
+          report(field, "字段不是逗号分隔的字符串");
+          continue;
+        }
+
+        const target = REFERENCE_FIELDS[listName][field];
+        // Monlist may be left empty and derived from Stdlist.mon
+        if (!target || (target === "Monlist" && lists.Monlist.length === 0)) continue;
+        for (const entry of parseTextList(value)) {
+          const id = Number(entry);
+          if (!/^\d+$/.test(entry)) {
+            report(field, `无效的ID "${entry}"`);
+          } else if (target === "Monlist" ? !monsterIds.has(id) : id >= lists[target].length) {
+            report(field, `${GAME_LIST_LABELS[target]}ID ${id} 不存在（共${lists[target].length}条）`);
+          }
+        }
+      }
+
+      // Drop rates line up with the monster list
+      if (listName === "Stdlist" && typeof record.rate === "string" && typeof record.mon === "string") {
+        const monCount = parseTextList(record.mon).length;
+        const rates = parseTextList(record.rate);
+        if (rates.length > 0 && rates.length !== monCount) {
+          report("rate", `爆率有${rates.length}项，但掉落怪物有${monCount}个`);
+        }
+        for (const rate of rates) {
+          if (parseDropRate(rate) === null) {
+            report("rate", `无法识别的爆率 "${rate}"`);
+          }
+        }
+      }
+
+      // Item categories
+      if (listName === "Stdlist") {
+        if (record.stdmode !== undefined && !/^\d+$/.test(String(record.stdmode))) {
+          report("stdmode", `无效的StdMode "${record.stdmode}"`);
+        }
+        if (
+          record.type !== undefined &&
+          !ITEM_CATEGORIES.some((category) => category.key === record.type || category.label === record.type)
+        ) {
+          report("type", `未知的物品类型 "${record.type}"`);
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+function addToIndex(index, key, value) {
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  index.get(key).push(value);
+}
+
+// Index every list by normalized name (see normalizeSearchText)
+function buildNameIndex(list) {
+  const byName = new Map();
+  for (let i = 0; i < list.length; i++) {
+    const record = list[i];
+    if (record && record.name) {
+      addToIndex(byName, normalizeSearchText(record.name), i);
+    }
+  }
+  return byName;
+}
+
+// Pinyin readings of every name in a name index, for searching with pinyin keywords
+function buildPinyinIndex(nameIndex) {
+  const byPinyin = new Map();
+  for (const name of nameIndex.keys()) {
+    const readings = readNamePinyin(name);
+    if (readings) {
+      byPinyin.set(name, readings);
+    }
+  }
+  return byPinyin;
+}
+
+// Initialize indexed data for faster lookups; onProgress receives the share of the work done
+function buildGameIndexes(data, onProgress) {
+  const result = {
+    byName: {
+      Stdlist: buildNameIndex(data.Stdlist),
+      Monlist: buildNameIndex(data.Monlist),
+      Maplist: buildNameIndex(data.Maplist),
+      Npclist: buildNameIndex(data.Npclist),
+    },
+    pinyinByName: {},
+    itemsByMonster: new Map(),
+    itemsByNpc: new Map(),
+    monstersByMap: new Map(),
+    dropsByItem: new Map(),
+    dropsByMonster: new Map(),
+  };
+  for (const listName of Object.keys(result.byName)) {
+    result.pinyinByName[listName] = buildPinyinIndex(result.byName[listName]);
+  }
+  if (onProgress) onProgress(0.3);
+
+  for (let i = 0; i < data.Stdlist.length; i++) {
+    const item = data.Stdlist[i];
+    if (!item) continue;
+    for (const drop of readItemDrops(item)) {
+      addToIndex(result.itemsByMonster, drop.monId, i);
+      addToIndex(result.dropsByItem, i, drop);
+      addToIndex(result.dropsByMonster, drop.monId, {
+        itemId: i,
+        chance: drop.chance,
+        count: drop.count,
+      });
+    }
+    for (const npcId of parseIdList(item.npc)) {
+      addToIndex(result.itemsByNpc, npcId, i);
+    }
+  }
+
+  if (onProgress) onProgress(0.7);
+
+  for (let i = 0; i < data.Monlist.length; i++) {
+    const monster = data.Monlist[i];
+    if (!monster) continue;
+    for (const mapId of parseIdList(monster.map)) {
+      addToIndex(result.monstersByMap, mapId, i);
+    }
+  }
+
+  if (onProgress) onProgress(0.8);
+
+  for (const drops of result.dropsByItem.values()) {
+    drops.sort(compareDropChance);
+  }
+  for (const drops of result.dropsByMonster.values()) {
+    drops.sort(compareDropChance);
+  }
+
+  return result;
+}
+
+// Monster ID of the Monlist record at index: Stdlist.mon and the drop indexes refer to
+// monsters by their id when they have one, which differs from the index when Monlist is
+// derived or sparse. Hand-edited data may hold the id as a string, so it is read as a number
+function monsterRecordId(monster, index) {
+  return monster && monster.id !== undefined ? Number(monster.id) : index;
+}
+
+// Build placeholder monsters from Stdlist for data files that ship an empty Monlist, with
+// the items each one drops in std so the 爆物品的 filter still finds them
+function deriveMonlist(stdlist) {
+  const monsterMap = {};
+  for (let i = 0; i < stdlist.length; i++) {
+    for (const monId of parseIdList(stdlist[i].mon)) {
+      if (!monsterMap[monId]) {
+        monsterMap[monId] = { id: monId, name: "怪物" + monId, map: "-1", std: [] };
+      }
+      const std = monsterMap[monId].std;
+      if (std[std.length - 1] !== i) {
+        std.push(i);
+      }
+    }
+  }
+  return Object.values(monsterMap).map((monster) => Object.assign(monster, { std: monster.std.join(",") }));
+}
+
+// Fill in the defaults the pages rely on and build the indexes, returning { data, indexes }
+function indexGameData(data, onProgress) {
+  const prepared = {
+    DataName: typeof data.DataName === "string" ? data.DataName : "",
+    Stdlist: data.Stdlist || [],
+    Monlist: data.Monlist || [],
+    Maplist: data.Maplist || [],
+    Npclist: data.Npclist || [],
+  };
+  if (prepared.Monlist.length === 0) {
+    prepared.Monlist = deriveMonlist(prepared.Stdlist);
+  }
+  return { data: prepared, indexes: buildGameIndexes(prepared, onProgress) };
+}
+
+// Parse, repair and index a data file's text in one go. This is the work done in
+// gamedata-worker.js; onProgress(stage, percent) reports the "parse" and "index" stages
+function prepareGameData(fileName, text, onProgress) {
+  const report = onProgress || function () {};
+  report("parse", 0);
+  const data = normalizeGameData(
+    parseDataFile(fileName, text, (share) => report("parse", Math.round(share * 60)))
+  );
+  report("index", 60);
+  return indexGameData(data, (share) => report("index", 60 + Math.round(share * 40)));
+}
+
+// Persistent cache of parsed version data and indexes in IndexedDB.
+// Every operation resolves (to null when nothing is cached) so a browser without
+// IndexedDB, or with storage disabled, simply loads from the network each time
+const GameDataCache = (function () {
+  const DB_NAME = "DropRateQuery";
+  const STORE_NAME = "versions";
+  // Bump when the shape of the cached data or indexes changes
+  const CACHE_FORMAT = 4;
+  let openRequest = null;
+
+  function openDatabase() {
+    if (!openRequest) {
+      openRequest = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: "version" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn("IndexedDB is not available:", request.error);
+          resolve(null);
+        };
+      });
+    }
+    return openRequest;
+  }
+
+  // Run one request against the object store, resolving to its result or null on failure
+  function withStore(mode, createRequest) {
+    return openDatabase().then(
+      (db) =>
+        new Promise((resolve) => {
+          if (!db) {
+            resolve(null);
+            return;
+          }
+          try {
+            const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => {
+              console.warn("IndexedDB request failed:", request.error);
+              resolve(null);
+            };
+          } catch (e) {
+            console.warn("IndexedDB request failed:", e);
+            resolve(null);
+          }
+        })
+    );
+  }
+
+  // Cached entry for a version, only when it was stored for the same data file revision
+  function get(version, validator) {
+    return withStore("readonly", (store) => store.get(version)).then((entry) =>
+      entry && entry.format === CACHE_FORMAT && entry.validator === validator ? entry : null
+    );
+  }
+
+  function put(version, validator, data, indexes) {
+    return withStore("readwrite", (store) =>
+      store.put({
+        version: version,
+        validator: validator,
+        format: CACHE_FORMAT,
+        data: data,
+        indexes: indexes,
+        savedAt: Date.now(),
+      })
+    );
+  }
+
+  return {
+    get: get,
+    put: put,
+  };
+})();
+
+// Shared store holding the loaded version data and its indexes
+const GameDataStore = (function () {
+  let currentVersion = null;
+  let currentData = null;
+  let indexes = null;
+  let pendingLoad = null;
+
+  // Monlist index of each monster ID, built on first use (see monsterIndexOf)
+  let monsterIndexById = null;
+  // Category key of each item, built on first use (see getItemCategory)
+  let itemCategories = null;
+  // NPCs giving each item, built on first use (see getItemSourceTree)
+  let giversByItem = null;
+
+  function applyData(version, prepared) {
+    currentVersion = version;
+    currentData = prepared.data;
+    indexes = prepared.indexes;
+    monsterIndexById = null;
+    itemCategories = null;
+    giversByItem = null;
+    return currentData;
+  }
+
+  // Index data and make it current; the indexes are built before swapping so a failure keeps the previous data
+  function setData(version, data) {
+    return applyData(version, indexGameData(data));
+  }
+
+  // Identify the revision of a version's data file from its ETag or Last-Modified header.
+  // Resolves to null when the server sends neither, which disables caching for that version
+  function fetchDataFileRevision(version) {
+    const head = (extension) =>
+      fetch(`../data/${sanitizedName(version)}.${extension}`, { method: "HEAD" }).then((response) => {
+        const validator = response.ok && (response.headers.get("ETag") || response.headers.get("Last-Modified"));
+        return { status: response.status, revision: validator ? `${extension}:${validator}` : null };
+      });
+
+    // The JSON file wins over the script whenever it exists (see fetchDataFile), so its revision
+    // is the one that matters; the script is only asked when there is no JSON file
+    return head("json")
+      .then((json) => (json.status === 404 ? head("js").then((script) => script.revision) : json.revision))
+      .catch(() => null);
+  }
+
+  // Fetch the text of a version's data file: data/<Version>.json when present, otherwise the legacy script
+  function fetchDataFile(version) {
+    const fetchText = (fileName) =>
+      fetch(`../data/${fileName}`).then((response) => {
+        if (!response.ok) {
+          const error = new Error(`网络响应不正常: ${response.status} ${response.statusText}`);
+          error.status = response.status;
+          throw error;
+        }
+        return response.text().then((text) => ({ fileName: fileName, text: text }));
+      });
+
+    const name = sanitizedName(version);
+    return fetchText(`${name}.json`)
+      .catch((error) => {
+        if (error.status === 404) {
+          return fetchText(`${name}.js`);
+        }
+        throw error;
+      })
+      .then((file) => {
+        if (!file.text || file.text.trim().length === 0) {
+          throw new Error("返回的数据为空");
+        }
+        return file;
+      });
+  }
+
+  // Fetch and parse one version's data file as it is, without validating it
+  function fetchRawVersionData(version) {
+    return fetchDataFile(version).then((file) => parseDataFile(file.fileName, file.text));
+  }
+
+  // Fetch one version's data without touching the store; broken records are repaired so the rest still loads
+  function fetchVersionData(version) {
+    return fetchRawVersionData(version).then(normalizeGameData);
+  }
+
+  // Background worker doing the parse, repair and index steps (gamedata-worker.js)
+  let worker = null;
+  let workerUnavailable = typeof Worker === "undefined";
+  let nextWorkerRequest = 0;
+  const workerRequests = new Map();
+
+  function getWorker() {
+    if (worker || workerUnavailable) {
+      return worker;
+    }
+    try {
+      worker = new Worker("js/gamedata-worker.js");
+    } catch (e) {
+      console.warn("Web Worker is not available, parsing on the main thread:", e);
+      workerUnavailable = true;
+      return null;
+    }
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      const request = workerRequests.get(message.id);
+      if (!request) return;
+      if (message.type === "progress") {
+        request.onProgress(message.stage, message.percent);
+        return;
+      }
+      workerRequests.delete(message.id);
+      if (message.type === "done") {
+        request.resolve({ data: message.data, indexes: message.indexes });
+      } else {
+        request.reject(new Error(message.message));
+      }
+    };
+
+    // A worker that fails to start (blocked by CSP, file:// pages...) hands its requests back to the main thread
+    worker.onerror = (event) => {
+      console.warn("Web Worker failed, parsing on the main thread:", event.message);
+      event.preventDefault();
+      worker.terminate();
+      worker = null;
+      workerUnavailable = true;
+      for (const request of workerRequests.values()) {
+        request.fallback();
+      }
+      workerRequests.clear();
+    };
+    return worker;
+  }
+
+  // Parse, repair and index a data file off the main thread when possible, resolving to { data, indexes }
+  function prepareInBackground(file, onProgress) {
+    const runHere = () => prepareGameData(file.fileName, file.text, onProgress);
+    const backgroundWorker = getWorker();
+    if (!backgroundWorker) {
+      return Promise.resolve().then(runHere);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++nextWorkerRequest;
+      workerRequests.set(id, {
+        resolve: resolve,
+        reject: reject,
+        onProgress: onProgress,
+        fallback: () => {
+          try {
+            resolve(runHere());
+          } catch (e) {
+            reject(e);
+          }
+        },
+      });
+      backgroundWorker.postMessage({ id: id, fileName: file.fileName, text: file.text });
+    });
+  }
+
+  // Load a version from the IndexedDB cache when the data file is unchanged, otherwise from the network.
+  // onProgress(stage, percent) follows the "download", "parse" and "index" stages
+  function loadVersion(version, onProgress) {
+    const report = onProgress || function () {};
+    const fetchAndPrepare = () => {
+      report("download", 0);
+      return fetchDataFile(version).then((file) => prepareInBackground(file, report));
+    };
+
+    return fetchDataFileRevision(version).then((revision) => {
+      if (!revision) {
+        return fetchAndPrepare().then((prepared) => applyData(version, prepared));
+      }
+
+      return GameDataCache.get(version, revision).then((entry) => {
+        if (entry) {
+          return applyData(version, entry);
+        }
+        return fetchAndPrepare().then((prepared) => {
+          GameDataCache.put(version, revision, prepared.data, prepared.indexes);
+          return applyData(version, prepared);
+        });
+      });
+    });
+  }
+
+  // Load a version into the store, reusing the data when it is already loaded
+  function load(version, onProgress) {
+    if (!isValidVersion(version)) {
+      return Promise.reject(new Error("无效的游戏版本"));
+    }
+    if (currentData && currentVersion === version) {
+      return Promise.resolve(currentData);
+    }
+    if (pendingLoad && pendingLoad.version === version) {
+      return pendingLoad.promise;
+    }
+
+    const request = { version: version, promise: null };
+    request.promise = loadVersion(version, onProgress)
+      .finally(() => {
+        if (pendingLoad === request) {
+          pendingLoad = null;
+        }
+      });
+    pendingLoad = request;
+    return request.promise;
+  }
+
+  // Load the version chosen in the cookies; resolves to false when it could not be loaded.
+  // onProgress(stage, percent) is called while a version is downloaded, parsed and indexed
+  function loadSelectedVersion(onProgress) {
+    const selectedVersion = $.cookie("version_data");
+
+    if (!selectedVersion) {
+      console.warn("No version selected in cookies");
+      alert("请先选择游戏版本");
+      window.location.href = "../index.html";
+      return Promise.resolve(false);
+    }
+
+    // Validate version against known versions for security
+    if (!isValidVersion(selectedVersion)) {
+      console.error("Invalid version provided:", selectedVersion);
+      alert("无效的游戏版本");
+      return Promise.resolve(false);
+    }
+
+    // Data files included directly with a <script> tag define the lists globally. Their
+    // records are repaired like those of a fetched file, so a broken one cannot break the pages
+    if (!currentData && typeof window.Stdlist !== "undefined") {
+      try {
+        setData(selectedVersion, normalizeGameData(window));
+        return Promise.resolve(true);
+      } catch (e) {
+        console.warn("Data script lists are incomplete, loading the data file instead:", e);
+      }
+    }
+
+    return load(selectedVersion, onProgress)
+      .then(() => true)
+      .catch((error) => {
+        console.error("Failed to load data:", error);
+        // Show a more user-friendly error message while logging the full error for debugging
+        alert("无法加载数据，请检查版本选择");
+        return false;
+      });
+  }
+
+  function isLoaded() {
+    return currentData !== null;
+  }
+
+  function getVersion() {
+    return currentVersion;
+  }
+
+  function getDataName() {
+    return currentData ? currentData.DataName : "";
+  }
+
+  // Get one of Stdlist/Monlist/Maplist/Npclist, or an empty list before loading
+  function getList(listName) {
+    if (!currentData || !Array.isArray(currentData[listName])) {
+      return [];
+    }
+    return currentData[listName];
+  }
+
+  // Get a single record by its list index, accepting numeric strings
+  function getRecord(listName, id) {
+    const index = typeof id === "number" ? id : parseInt(id, 10);
+    const list = getList(listName);
+    if (isNaN(index) || index < 0 || index >= list.length) {
+      return null;
+    }
+    return list[index] || null;
+  }
+
+  // Fuzzy search a list by name or its pinyin, returning { id, positions } with the best
+  // matches first (see MATCH_RANK), then shorter names, then list order. positions are the
+  // indices of the matched characters in the record's name; exact only accepts substrings
+  function matchByName(listName, keyword, exact) {
+    const list = getList(listName);
+    if (!indexes || !indexes.byName[listName]) {
+      return [];
+    }
+
+    const lowerKeyword = normalizeSearchText(keyword);
+    if (lowerKeyword === "") {
+      return list.map((record, i) => ({ id: i, positions: [] }));
+    }
+
+    const pinyinKeyword = exact ? "" : toPinyinKeyword(lowerKeyword);
+    const pinyinIndex = indexes.pinyinByName[listName];
+    const ranked = [];
+    for (const [name, indices] of indexes.byName[listName].entries()) {
+      let positions = findNamePositions(name, lowerKeyword, exact);
+      if (!positions && pinyinKeyword) {
+        positions = matchPinyin(pinyinIndex.get(name), pinyinKeyword);
+      }
+      if (positions) {
+        ranked.push({
+          rank: rankNameMatch(positions, name.length),
+          length: name.length,
+          first: indices[0],
+          positions: positions,
+          indices: indices,
+        });
+      }
+    }
+    ranked.sort((a, b) => a.rank - b.rank || a.length - b.length || a.first - b.first);
+
+    const results = [];
+    for (const match of ranked) {
+      for (const id of match.indices) {
+        results.push({ id: id, positions: match.positions });
+      }
+    }
+    return results;
+  }
+
+  // Names close to a keyword that matched nothing, for "did you mean" suggestions: within a few
+  // character edits of the name, or of its pinyin for latin keywords. Returns up to limit
+  // { id, distance } of the closest names, one record per name
+  function suggestByName(listName, keyword, limit) {
+    if (!indexes || !indexes.byName[listName]) {
+      return [];
+    }
+    const lowerKeyword = normalizeSearchText(keyword).trim();
+    if (lowerKeyword === "") {
+      return [];
+    }
+
+    const pinyinKeyword = toPinyinKeyword(lowerKeyword);
+    const pinyinIndex = indexes.pinyinByName[listName];
+    const maxDistance = maxSuggestionDistance(pinyinKeyword || lowerKeyword);
+    const suggestions = [];
+    for (const [name, indices] of indexes.byName[listName].entries()) {
+      let distance = editDistance(lowerKeyword, name, maxDistance);
+      const readings = pinyinKeyword ? pinyinIndex.get(name) : null;
+      if (readings) {
+        // The usual reading of every character, e.g. "caijuezhizhang"
+        const spelled = readings.map((charReadings) => charReadings[0]).join("");
+        distance = Math.min(distance, editDistance(pinyinKeyword, spelled, maxDistance));
+      }
+      if (distance <= maxDistance) {
+        suggestions.push({ id: indices[0], distance: distance, length: name.length });
+      }
+    }
+    suggestions.sort((a, b) => a.distance - b.distance || a.length - b.length || a.id - b.id);
+    return suggestions.slice(0, limit).map((suggestion) => ({ id: suggestion.id, distance: suggestion.distance }));
+  }
+
+  // Monster ID (Stdlist.mon, the drop indexes) of the Monlist record at monIndex
+  function monsterIdOf(monIndex) {
+    return monsterRecordId(getRecord("Monlist", monIndex), monIndex);
+  }
+
+  // Monlist index of a monster ID from the drop lists
+  function monsterIndexOf(monId) {
+    if (!monsterIndexById) {
+      monsterIndexById = new Map();
+      getList("Monlist").forEach((monster, i) => monsterIndexById.set(monsterIdOf(i), i));
+    }
+    return monsterIndexById.has(monId) ? monsterIndexById.get(monId) : monId;
+  }
+
+  // Category key of an item (see itemCategory), "other" for unknown IDs
+  function getItemCategory(itemId) {
+    if (!itemCategories) {
+      itemCategories = getList("Stdlist").map(itemCategory);
+    }
+    return itemCategories[itemId] || "other";
+  }
+
+  // How the records of one list relate to those of another for the qualifiers of
+  // searchRecords: QUERY_RELATIONS[listName][otherList](otherIds) returns the ids in
+  // listName related to any of otherIds, e.g. the items dropped by the given monsters
+  const QUERY_RELATIONS = {
+    Stdlist: {
+      Monlist: (monIds) => collectIds(monIds, (monIndex) => getItemsByMonster(monsterIdOf(monIndex))),
+      Maplist: (mapIds) =>
+        collectIds(mapIds, (mapId) =>
+          getMonstersByMap(mapId).flatMap((monIndex) => getItemsByMonster(monsterIdOf(monIndex)))
+        ),
+      Npclist: (npcIds) => collectIds(npcIds, getItemsByNpc),
+    },
+    Monlist: {
+      Stdlist: (itemIds) =>
+        collectIds(itemIds, (itemId) => getItemDrops(itemId).map((drop) => monsterIndexOf(drop.monId))),
+      Maplist: (mapIds) => collectIds(mapIds, getMonstersByMap),
+    },
+    Maplist: {
+      Monlist: (monIds) =>
+        collectIds(monIds, (monIndex) => parseIdList(safelyGetPropertyName(getRecord("Monlist", monIndex), "map"))),
+      // Maps an NPC teleports to
+      Npclist: (npcIds) =>
+        filterIds("Maplist", (map) => parseIdList(map.npc).some((npcId) => npcIds.has(npcId))),
+    },
+    Npclist: {
+      Stdlist: (itemIds) =>
+        collectIds(itemIds, (itemId) => parseIdList(safelyGetPropertyName(getRecord("Stdlist", itemId), "npc"))),
+      // NPCs standing on the maps, which Npclist records by map name
+      Maplist: (mapIds) => {
+        const mapNames = new Set();
+        for (const mapId of mapIds) {
+          mapNames.add(safelyGetPropertyName(getRecord("Maplist", mapId), "name"));
+        }
+        return filterIds("Npclist", (npc) => mapNames.has(npc.mname));
+      },
+    },
+  };
+
+  function collectIds(ids, getRelated) {
+    const result = new Set();
+    for (const id of ids) {
+      for (const related of getRelated(id)) {
+        result.add(related);
+      }
+    }
+    return result;
+  }
+
+  function filterIds(listName, predicate) {
+    const result = new Set();
+    getList(listName).forEach((record, i) => {
+      if (record && predicate(record)) result.add(i);
+    });
+    return result;
+  }
+
+  // Ids of the records matching one term of parseSearchQuery
+  function matchTermIds(listName, term) {
+    const targetList = term.list || listName;
+    const matchedIds = new Set(matchByName(targetList, term.value, term.exact).map((match) => match.id));
+    if (targetList === listName) {
+      return matchedIds;
+    }
+    const relation = QUERY_RELATIONS[listName][targetList];
+    // A qualifier this list has no relation to (npc: for monsters) matches nothing
+    return relation ? relation(matchedIds) : new Set();
+  }
+
+  // Search a list with the query syntax of the search boxes (see parseSearchQuery), e.g.
+  // "map:祖玛寺庙 -npc:" for the items dropped in 祖玛寺庙 that no NPC hands out.
+  // Results are ranked and highlighted by the first plain keyword like matchByName
+  function searchRecords(listName, query) {
+    const terms = parseSearchQuery(query);
+    const rankingTerm = terms.find((term) => !term.negate && (!term.list || term.list === listName));
+    let results = rankingTerm
+      ? matchByName(listName, rankingTerm.value, rankingTerm.exact)
+      : matchByName(listName, "");
+
+    for (const term of terms) {
+      if (term === rankingTerm) continue;
+      const ids = matchTermIds(listName, term);
+      results = results.filter((match) => ids.has(match.id) !== term.negate);
+    }
+    return results;
+  }
+
+  function lookup(index, id) {
+    if (!indexes) return [];
+    const key = typeof id === "number" ? id : parseInt(id, 10);
+    return indexes[index].get(key) || [];
+  }
+
+  // Stdlist indices of items dropped by a monster
+  function getItemsByMonster(monId) {
+    return lookup("itemsByMonster", monId);
+  }
+
+  // Monsters dropping an item as { monId, chance, count }, most likely first
+  function getItemDrops(itemId) {
+    return lookup("dropsByItem", itemId);
+  }
+
+  // Items a monster drops as { itemId, chance, count }, most likely first
+  function getMonsterDrops(monId) {
+    return lookup("dropsByMonster", monId);
+  }
+
+  // Stdlist indices of items linked to an NPC
+  function getItemsByNpc(npcId) {
+    return lookup("itemsByNpc", npcId);
+  }
+
+  // NPCs handing out and taking an item, from their give and take lists: { give: [npcId], take: [npcId] }
+  function getItemNpcs(itemId) {
+    const id = typeof itemId === "number" ? itemId : parseInt(itemId, 10);
+    const result = { give: [], take: [] };
+    getList("Npclist").forEach((npc, npcId) => {
+      if (!npc) return;
+      if (parseIdList(npc.give).includes(id)) result.give.push(npcId);
+      if (parseIdList(npc.take).includes(id)) result.take.push(npcId);
+    });
+    return result;
+  }
+
+  // Maplist index of the map an NPC stands on (Npclist.mname holds its name), -1 when unknown
+  function getNpcMap(npcId) {
+    const npc = getRecord("Npclist", npcId);
+    if (!npc || typeof npc.mname !== "string" || npc.mname === "" || !indexes) {
+      return -1;
+    }
+    const candidates = indexes.byName.Maplist.get(normalizeSearchText(npc.mname)) || [];
+    // Prefer the map written exactly like mname over one only matching after normalizing
+    const exact = candidates.find((mapId) => getRecord("Maplist", mapId).name === npc.mname);
+    return exact !== undefined ? exact : candidates.length > 0 ? candidates[0] : -1;
+  }
+
+  const RECIPE_TREE_MAX_DEPTH = 8; // Levels of NPC trades followed below an item
+  const RECIPE_TREE_MAX_NODES = 300; // Items in one tree, so merchants trading hundreds of items stay readable
+
+  // How an item is obtained, following the NPC trades down to the monster drops:
+  // { itemId, drops, recipes: [{ npcId, ingredients: [node], truncated }], cycle, truncated }.
+  // An NPC is taken to give each item of its give list for all the items of its take list.
+  // An item already on the branch above is marked as a cycle and not expanded again. Items
+  // RECIPE_TREE_MAX_DEPTH levels down are not expanded (truncated), and once the tree holds
+  // RECIPE_TREE_MAX_NODES items the remaining ingredients are left out (recipe truncated)
+  function getItemSourceTree(itemId) {
+    if (!giversByItem) {
+      giversByItem = new Map();
+      getList("Npclist").forEach((npc, npcId) => {
+        if (!npc) return;
+        for (const givenId of new Set(parseIdList(npc.give))) {
+          addToIndex(giversByItem, givenId, npcId);
+        }
+      });
+    }
+
+    let nodeCount = 0;
+    const branch = new Set();
+    function build(id, depth) {
+      nodeCount++;
+      const node = { itemId: id, drops: [], recipes: [], cycle: false, truncated: false };
+      if (branch.has(id)) {
+        node.cycle = true;
+        return node;
+      }
+      node.drops = getItemDrops(id);
+      const givers = giversByItem.get(id) || [];
+      if (depth >= RECIPE_TREE_MAX_DEPTH) {
+        node.truncated = givers.length > 0;
+        return node;
+      }
+
+      branch.add(id);
+      for (const npcId of givers) {
+        const recipe = { npcId: npcId, ingredients: [], truncated: false };
+        for (const takenId of parseIdList(getRecord("Npclist", npcId).take)) {
+          if (!getRecord("Stdlist", takenId)) continue;
+          if (nodeCount >= RECIPE_TREE_MAX_NODES) {
+            recipe.truncated = true;
+            break;
+          }
+          recipe.ingredients.push(build(takenId, depth + 1));
+        }
+        node.recipes.push(recipe);
+      }
+      branch.delete(id);
+      return node;
+    }
+
+    const id = typeof itemId === "number" ? itemId : parseInt(itemId, 10);
+    return getRecord("Stdlist", id) ? build(id, 0) : null;
+  }
+
+  // Monlist indices of monsters spawning on a map
+  function getMonstersByMap(mapId) {
+    return lookup("monstersByMap", mapId);
+  }
+
+  // Everything obtainable on a map: the drops of its monsters and what the NPCs standing on it
+  // give, as { itemId, drops: [{ monIndex, chance, count }], npcs: [npcId] }. Items and their
+  // drops are sorted most likely first, items only NPCs give come last
+  function getMapLoot(mapId) {
+    const map = getRecord("Maplist", mapId);
+    if (!map) return [];
+
+    const loot = new Map();
+    const entryFor = (itemId) => {
+      if (!loot.has(itemId)) {
+        loot.set(itemId, { itemId: itemId, drops: [], npcs: [] });
+      }
+      return loot.get(itemId);
+    };
+
+    for (const monIndex of getMonstersByMap(mapId)) {
+      for (const drop of getMonsterDrops(monsterIdOf(monIndex))) {
+        entryFor(drop.itemId).drops.push({ monIndex: monIndex, chance: drop.chance, count: drop.count });
+      }
+    }
+    // Npclist records where an NPC stands by map name
+    getList("Npclist").forEach((npc, npcId) => {
+      if (!npc || npc.mname !== map.name) return;
+      for (const itemId of parseIdList(npc.give)) {
+        if (getRecord("Stdlist", itemId)) {
+          entryFor(itemId).npcs.push(npcId);
+        }
+      }
+    });
+
+    const result = [...loot.values()];
+    for (const entry of result) {
+      entry.drops.sort(compareDropChance);
+    }
+    result.sort((a, b) => {
+      if (a.drops.length === 0 || b.drops.length === 0) {
+        return b.drops.length - a.drops.length || a.itemId - b.itemId;
+      }
+      return compareDropChance(a.drops[0], b.drops[0]) || a.itemId - b.itemId;
+    });
+    return result;
+  }
+
+  return {
+    load: load,
+    loadSelectedVersion: loadSelectedVersion,
+    fetchVersionData: fetchVersionData,
+    fetchRawVersionData: fetchRawVersionData,
+    isLoaded: isLoaded,
+    getVersion: getVersion,
+    getDataName: getDataName,
+    getList: getList,
+    getRecord: getRecord,
+    matchByName: matchByName,
+    searchRecords: searchRecords,
+    suggestByName: suggestByName,
+    getItemsByMonster: getItemsByMonster,
+    getItemDrops: getItemDrops,
+    getMonsterDrops: getMonsterDrops,
+    getItemsByNpc: getItemsByNpc,
+    getItemNpcs: getItemNpcs,
+    getNpcMap: getNpcMap,
+    getItemSourceTree: getItemSourceTree,
+    getMonstersByMap: getMonstersByMap,
+    getMonsterId: monsterIdOf,
+    getMonsterIndex: monsterIndexOf,
+    getMapLoot: getMapLoot,
+    getItemCategory: getItemCategory,
+  };
+})();
@@ -9,27 +9,7 @@
  * - Security with input sanitization and XSS protection
  */
 
-// Utility functions for sanitization and validation
-function sanitizeInput(input) {
-  if (typeof input !== "string") {
-    return "";
-  }
-  return input.replace(/[<>'\"&]/g, function (match) {
-    switch (match) {
-      case "<":
-        return "&lt;";
-      case ">":
-        return "&gt;";
-      case "&":
-        return "&amp;";
-      case '"':
-        return "&quot;";
-      case "'":
-        return "&#x27;";
-    }
-  });
-}
-
+// Utility functions for validation (sanitization helpers are shared from gamedata.js)
 function isValidVersionId(versionId) {
   if (typeof versionId !== "number" || versionId < 0) return false;
 
@@ -40,33 +20,6 @@ function isValidVersionId(versionId) {
   return true;
 }
 
-function sanitizedName(name) {
-  // Ensure the name consists only of allowed characters for security
-  return name.replace(/[^A-Za-z0-9_\u4e00-\u9fa5]/g, "");
-}
-
-// Function to safely get property values from objects
-function safelyGetPropertyName(obj, prop, defaultValue = "") {
-  try {
-    if (obj && typeof obj === "object" && obj !== null && prop in obj) {
-      const value = obj[prop];
-      // Handle null, undefined, and other non-string/number values safely
-      if (value === null || value === undefined) {
-        return defaultValue;
-      }
-      if (typeof value === "string" || typeof value === "number") {
-        return value.toString();
-      }
-      // For other types, convert to string safely
-      return String(value);
-    }
-    return defaultValue;
-  } catch (error) {
-    console.warn("Error accessing property", prop, error);
-    return defaultValue;
-  }
-}
-
 // Set version in cookies and stay on current page
 function set_version(versionId) {
   // Validate the versionId parameter
@@ -97,13 +50,14 @@ function set_version(versionId) {
     safelyGetPropertyName(version_list[versionId], "data")
   );
 
-  // Redirect to the current page with the selected version parameter
+  // Redirect to the current page (and app view) with the selected version parameter
   const currentPath = window.location.pathname;
   const versionParam = safelyGetPropertyName(version_list[versionId], "data");
-  window.location.href = currentPath + "?v=" + encodeURIComponent(versionParam);
+  window.location.href =
+    currentPath + "?v=" + encodeURIComponent(versionParam) + window.location.hash;
 }
 
-// Set version in cookies and navigate to stditem.html
+// Set version in cookies and navigate to the item view of the app shell
 function go_to_stditem(versionId) {
   // Validate the versionId parameter
   if (
@@ -133,9 +87,10 @@ function go_to_stditem(versionId) {
     safelyGetPropertyName(version_list[versionId], "data")
   );
 
-  // Redirect to stditem.html with the selected version parameter
+  // Redirect to the item view with the selected version parameter
   const versionParam = safelyGetPropertyName(version_list[versionId], "data");
-  window.location.href = "stditem.html?v=" + encodeURIComponent(versionParam);
+  window.location.href =
+    "app.html?v=" + encodeURIComponent(versionParam) + "#/item";
 }
 
 // Load server data and populate version selection buttons
@@ -218,6 +173,28 @@ function handle_version_selection() {
   }
 }
 
+// Fill <select> elements with the versions from version_list, preselecting the current version
+function fillVersionSelect(selector) {
+  const selectedVersion = $.cookie("version_data");
+  let optionsHtml = "";
+  if (typeof version_list !== "undefined" && Array.isArray(version_list)) {
+    for (let i = 0; i < version_list.length; i++) {
+      const version = version_list[i];
+      if (version && typeof version.name === "string") {
+        optionsHtml +=
+          '<option value="' +
+          sanitizeInput(version.data) +
+          '"' +
+          (version.data === selectedVersion ? " selected" : "") +
+          ">" +
+          sanitizeInput(version.name) +
+          "</option>";
+      }
+    }
+  }
+  $(selector).html(optionsHtml);
+}
+
 // Show guide link if available in any version
 function show_guide_if_available() {
   // Check if any version in version_list has a guide link
@@ -252,32 +229,21 @@ function initialize_page() {
     case "":
       $("title").text(safelyGetPropertyName(window, "indextitle", "爆率查询"));
       break;
-    case "map.html":
-      $("title").text(
-        "【" +
-          safelyGetPropertyName(window, "indextitle", "爆率查询") +
-          "】通过地图查怪物走法"
-      );
-      break;
-    case "mon.html":
-      $("title").text(
-        "【" +
-          safelyGetPropertyName(window, "indextitle", "爆率查询") +
-          "】通过怪物查物品地图"
-      );
+    // app.html sets its title per view (see app.js)
+    case "app.html":
       break;
-    case "stditem.html":
+    case "diff.html":
       $("title").text(
         "【" +
           safelyGetPropertyName(window, "indextitle", "爆率查询") +
-          "】通过物品查怪物地图"
+          "】版本数据对比"
       );
       break;
-    case "npc.html":
+    case "validate.html":
       $("title").text(
         "【" +
           safelyGetPropertyName(window, "indextitle", "爆率查询") +
-          "】通过NPC查物品地图"
+          "】数据检查"
       );
       break;
     default:
@@ -0,0 +1,127 @@
+/*
+ * Game Drop Rate Query System - omnisearch.js
+ * Search box in the top navigation of the app shell (app.html)
+ *
+ * Key features:
+ * - Searches items, monsters, maps and NPCs at once, so players do not need to
+ *   know which kind of record a name belongs to
+ * - Results are grouped by type with their counts, best matches first
+ * - Accepts the query syntax of the views (mon:骷髅, -npc:, "quoted phrases")
+ * - Clicking a result opens it in its view (#/item/<id>, #/monster/<id>, ...);
+ *   clicking a group title shows every match in that view
+ */
+
+// Lists searched by the navigation box and the view showing their records
+const OMNI_SEARCH_GROUPS = [
+  { list: "Stdlist", route: "item" },
+  { list: "Monlist", route: "monster" },
+  { list: "Maplist", route: "map" },
+  { list: "Npclist", route: "npc" },
+];
+
+const OMNI_SEARCH_LIMIT = 8; // Results shown per group, the rest are reached through the group title
+const OMNI_SEARCH_DELAY = 200; // Milliseconds to wait after typing before searching
+
+let omniSearchTimer = null;
+
+// Search every list for the keyword in the navigation box and show the grouped results
+function runOmniSearch() {
+  const keyword = $("#omniKey").val().trim().toLowerCase();
+  const panel = $("#omniResults");
+  if (keyword === "") {
+    panel.hide().html("");
+    return;
+  }
+  if (!GameDataStore.isLoaded()) {
+    panel.text("正在加载数据...").show();
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  let total = 0;
+  for (const group of OMNI_SEARCH_GROUPS) {
+    const matches = GameDataStore.searchRecords(group.list, keyword);
+    if (matches.length === 0) continue;
+    total += matches.length;
+
+    // Group title with the match count, showing every match in the view when clicked
+    const title = document.createElement("div");
+    title.className = "omni-group hove";
+    title.setAttribute("data-route", group.route);
+    title.textContent = `${GAME_LIST_LABELS[group.list]}（${matches.length}）`;
+    fragment.appendChild(title);
+
+    for (const match of matches.slice(0, OMNI_SEARCH_LIMIT)) {
+      const record = GameDataStore.getRecord(group.list, match.id);
+      if (!record) continue;
+      const row = document.createElement("div");
+      row.className = "omni-result hove";
+      row.setAttribute("data-route", group.route);
+      row.setAttribute("data-id", match.id);
+      renderResultName(row, match.id + 1, safelyGetPropertyName(record, "name"), match.positions);
+      // NPCs share names across towns, so show where each one stands
+      if (group.list === "Npclist" && record.mname) {
+        row.appendChild(document.createTextNode(`【${record.mname}】`));
+      }
+      fragment.appendChild(row);
+    }
+    if (matches.length > OMNI_SEARCH_LIMIT) {
+      const more = document.createElement("div");
+      more.className = "omni-more hove";
+      more.setAttribute("data-route", group.route);
+      more.textContent = `查看全部${matches.length}条...`;
+      fragment.appendChild(more);
+    }
+  }
+
+  panel.html("");
+  if (total === 0) {
+    panel.text("没有找到匹配的物品、怪物、地图或NPC");
+  } else {
+    panel[0].appendChild(fragment);
+  }
+  panel.show();
+}
+
+function hideOmniSearch() {
+  $("#omniResults").hide();
+}
+
+$(function () {
+  $("#omniKey").on("input", function () {
+    clearTimeout(omniSearchTimer);
+    omniSearchTimer = setTimeout(runOmniSearch, OMNI_SEARCH_DELAY);
+  });
+  $("#omniKey").on("keydown", function (e) {
+    if (e.which === 13) {
+      clearTimeout(omniSearchTimer);
+      runOmniSearch();
+    } else if (e.which === 27) {
+      hideOmniSearch();
+    }
+  });
+  $("#omniKey").on("focus", function () {
+    if ($("#omniResults").children().length > 0) {
+      $("#omniResults").show();
+    }
+  });
+
+  // A result opens its record, a group title lists every match in its view
+  $("#omniResults").on("click", "[data-route]", function () {
+    const route = $(this).data("route");
+    const id = $(this).data("id");
+    hideOmniSearch();
+    if (id !== undefined) {
+      AppRouter.navigate(route, id);
+    } else {
+      AppRouter.searchView(route, $("#omniKey").val().trim());
+    }
+  });
+
+  // Close the results when clicking anywhere else
+  $(document).on("click", function (e) {
+    if (!$(e.target).closest("#omniResults, #omniKey").length) {
+      hideOmniSearch();
+    }
+  });
+});
@@ -0,0 +1,214 @@
+/*
+ * Game Drop Rate Query System - plan.js
+ * Farming planner of the app shell (app.js), registered as #/plan
+ *
+ * Key features:
+ * - Collects several wanted items into a plan (#/plan/<itemId> adds one)
+ * - Finds a small set of maps covering every planned item (greedy set cover
+ *   over Stdlist.mon and Monlist.map), then the fewest monsters to kill on each
+ * - Flags planned items that no spawning monster drops
+ */
+
+// Stdlist indices of the planned items, in the order they were added
+let farmingPlan = [];
+
+// Farming planner view (app.html#/plan, #/plan/<itemId>)
+AppRouter.registerView("plan", {
+  template: "view-plan",
+  title: "多物品刷怪规划",
+  search: function () {
+    getPlanItemsByKey();
+    renderFarmingPlan();
+  },
+  open: addToFarmingPlan,
+});
+
+// Search the items that can be added to the plan
+function getPlanItemsByKey() {
+  const Stdlist = GameDataStore.getList("Stdlist");
+  if (Stdlist.length === 0) {
+    $("#equList").html("没有可用的数据，请检查版本选择");
+    return;
+  }
+
+  // Only matched against names, see parseSearchQuery. Clicking a row opens it in this view,
+  // which adds it to the plan
+  const keyword = ($("#key").val() || "").trim().toLowerCase();
+  renderSearchResults("Stdlist", GameDataStore.searchRecords("Stdlist", keyword), keyword);
+}
+
+function addToFarmingPlan(itemId) {
+  if (GameDataStore.getRecord("Stdlist", itemId) && !farmingPlan.includes(itemId)) {
+    farmingPlan.push(itemId);
+  }
+  renderFarmingPlan();
+}
+
+function removeFromFarmingPlan(itemId) {
+  farmingPlan = farmingPlan.filter((id) => id !== itemId);
+  renderFarmingPlan();
+}
+
+function clearFarmingPlan() {
+  farmingPlan = [];
+  renderFarmingPlan();
+}
+
+// Maps and monsters covering the planned items:
+// { route: [{ mapId, items: [itemId], monsters: [{ monIndex, drops: [{ itemId, chance, count }] }] }],
+//   missing: [{ itemId, reason }] }
+function planFarming(itemIds) {
+  // Where each item can be farmed: map -> monsters on it dropping the item
+  const sourcesByItem = new Map();
+  const missing = [];
+  for (const itemId of itemIds) {
+    const drops = GameDataStore.getItemDrops(itemId);
+    const byMap = new Map();
+    for (const drop of drops) {
+      const monIndex = GameDataStore.getMonsterIndex(drop.monId);
+      const monster = GameDataStore.getRecord("Monlist", monIndex);
+      if (!monster) continue;
+      for (const mapId of parseIdList(monster.map)) {
+        if (!GameDataStore.getRecord("Maplist", mapId)) continue;
+        if (!byMap.has(mapId)) {
+          byMap.set(mapId, []);
+        }
+        byMap.get(mapId).push({ monIndex: monIndex, itemId: itemId, chance: drop.chance, count: drop.count });
+      }
+    }
+
+    if (byMap.size > 0) {
+      sourcesByItem.set(itemId, byMap);
+    } else if (drops.length > 0) {
+      missing.push({ itemId: itemId, reason: "掉落它的怪物不在任何地图刷出" });
+    } else {
+      const item = GameDataStore.getRecord("Stdlist", itemId);
+      missing.push({
+        itemId: itemId,
+        reason: parseIdList(item && item.npc).length > 0 ? "没有怪物掉落，只能从NPC获取" : "没有任何掉落来源",
+      });
+    }
+  }
+
+  // Greedy set cover: keep taking the map that covers the most items still uncovered,
+  // preferring the better drop chances on ties
+  const uncovered = new Set(sourcesByItem.keys());
+  const route = [];
+  while (uncovered.size > 0) {
+    let best = null;
+    for (const [mapId, drops] of collectMapDrops(sourcesByItem, uncovered)) {
+      const items = new Set(drops.map((drop) => drop.itemId));
+      const chance = sumBestChances(drops);
+      if (
+        !best ||
+        items.size > best.items.size ||
+        (items.size === best.items.size && chance > best.chance)
+      ) {
+        best = { mapId: mapId, items: items, drops: drops, chance: chance };
+      }
+    }
+    for (const itemId of best.items) {
+      uncovered.delete(itemId);
+    }
+    route.push({ mapId: best.mapId, items: [...best.items], monsters: coverWithMonsters(best.drops) });
+  }
+
+  return { route: route, missing: missing };
+}
+
+// Drops of the still uncovered items, grouped by map
+function collectMapDrops(sourcesByItem, uncovered) {
+  const dropsByMap = new Map();
+  for (const itemId of uncovered) {
+    for (const [mapId, drops] of sourcesByItem.get(itemId)) {
+      if (!dropsByMap.has(mapId)) {
+        dropsByMap.set(mapId, []);
+      }
+      dropsByMap.get(mapId).push(...drops);
+    }
+  }
+  return dropsByMap;
+}
+
+// Sum of the best known chance of each item among the drops, to break ties
+function sumBestChances(drops) {
+  const best = new Map();
+  for (const drop of drops) {
+    best.set(drop.itemId, Math.max(best.get(drop.itemId) || 0, drop.chance || 0));
+  }
+  let sum = 0;
+  for (const chance of best.values()) {
+    sum += chance;
+  }
+  return sum;
+}
+
+// Fewest monsters of one map dropping all of the given drops' items, again greedily
+function coverWithMonsters(drops) {
+  const uncovered = new Set(drops.map((drop) => drop.itemId));
+  const monsters = [];
+  while (uncovered.size > 0) {
+    const dropsByMonster = new Map();
+    for (const drop of drops) {
+      if (!uncovered.has(drop.itemId)) continue;
+      if (!dropsByMonster.has(drop.monIndex)) {
+        dropsByMonster.set(drop.monIndex, []);
+      }
+      dropsByMonster.get(drop.monIndex).push(drop);
+    }
+
+    let best = null;
+    for (const [monIndex, monsterDrops] of dropsByMonster) {
+      const chance = sumBestChances(monsterDrops);
+      if (
+        !best ||
+        monsterDrops.length > best.drops.length ||
+        (monsterDrops.length === best.drops.length && chance > best.chance)
+      ) {
+        best = { monIndex: monIndex, drops: monsterDrops, chance: chance };
+      }
+    }
+    for (const drop of best.drops) {
+      uncovered.delete(drop.itemId);
+    }
+    monsters.push({ monIndex: best.monIndex, drops: best.drops.sort(compareDropChance) });
+  }
+  return monsters;
+}
+
+function planRecordName(listName, id, fallback) {
+  return sanitizeInput(safelyGetPropertyName(GameDataStore.getRecord(listName, id), "name", fallback + id));
+}
+
+// Render the planned items, the route covering them and the items that cannot be farmed
+function renderFarmingPlan() {
+  let planHtml = "";
+  farmingPlan.forEach((itemId, i) => {
+    planHtml += `<div class="hove" listId="${itemId}" onclick="removeFromFarmingPlan(${itemId})">${i + 1}、${planRecordName("Stdlist", itemId, "物品")}</div>`;
+  });
+  $("#planList").html(planHtml || "请在左侧点击物品加入规划");
+
+  if (farmingPlan.length === 0) {
+    $("#planRoute, #planMissing").html("");
+    return;
+  }
+
+  const plan = planFarming(farmingPlan);
+
+  let routeHtml = "";
+  plan.route.forEach((stop, i) => {
+    routeHtml += `<div class="plan-map"><div class="hove plan-map-name" onclick="AppRouter.navigate('map', ${stop.mapId})">${i + 1}、${planRecordName("Maplist", stop.mapId, "地图")}（${stop.items.length}件）</div>`;
+    for (const monster of stop.monsters) {
+      const items = monster.drops.map((drop) => planRecordName("Stdlist", drop.itemId, "物品") + formatDropLabel(drop));
+      routeHtml += `<div class="hove plan-monster" onclick="AppRouter.navigate('monster', ${monster.monIndex})">${planRecordName("Monlist", monster.monIndex, "怪物")}：${items.join("、")}</div>`;
+    }
+    routeHtml += "</div>";
+  });
+  $("#planRoute").html(routeHtml || "规划中的物品都无法通过刷怪获得");
+
+  let missingHtml = "";
+  for (const entry of plan.missing) {
+    missingHtml += `<div class="hove plan-missing" onclick="getStdInfo(${entry.itemId})">${planRecordName("Stdlist", entry.itemId, "物品")}：${entry.reason}</div>`;
+  }
+  $("#planMissing").html(missingHtml || "规划中的物品都可以刷到");
+}
@@ -0,0 +1,13 @@
+/*
+ * Game Drop Rate Query System - redirect.js
+ * Keeps the old standalone query pages working after the move to app.html
+ *
+ * Key features:
+ * - Forwards stditem.html, mon.html, map.html and npc.html to their app view
+ * - Keeps the ?v= version parameter of the original link
+ */
+
+(function () {
+  const route = document.currentScript.getAttribute("data-route") || "item";
+  window.location.replace("app.html" + window.location.search + "#/" + route);
+})();
@@ -3,346 +3,79 @@
  * Handles item/equipment search functionality
  *
  * Key features:
- * - Loads data dynamically based on selected version from cookies
- * - Supports URL parameter 'v' for direct version selection
+ * - Item view of the app shell (app.js), registered as #/item
+ * - Filters the items by category (武器, 戒指...) with the #itemCategoryFilter checkboxes
+ * - NPC sources open the NPC's map, the route there and its full take/give lists
+ * - Reads the selected version's data through GameDataStore (gamedata.js)
  * - Includes defensive checks for missing data structures
  * - Provides fallback mechanisms when data is unavailable
  * - Enhanced security with input sanitization and XSS protection
  * - Optimized with caching mechanisms and efficient algorithms
  */
 
-// Cache for search results to improve performance
-let searchCache = new Map();
-let indexedData = null;
-const MAX_CACHE_SIZE = 50; // Limit cache size to prevent memory issues
-
-// Utility functions for sanitization and validation
-function sanitizeInput(input) {
-  if (typeof input !== 'string') {
-    return '';
-  }
-  return input.replace(/[<>'\"&]/g, function(match) {
-    switch(match) {
-      case '<': return '&lt;';
-      case '>': return '&gt;';
-      case '&': return '&amp;';
-      case '\"': return '&quot;';
-      case "'": return '&#x27;';
-    }
-  });
-}
-
-function isValidGameData(data) {
-  return data &&
-         Array.isArray(data.Stdlist) &&
-         Array.isArray(data.Monlist) &&
-         Array.isArray(data.Maplist) &&
-         Array.isArray(data.Npclist) &&
-         // Additional validation for data structure
-         data.Stdlist.every(item =>
-           item &&
-           typeof item.name === 'string' &&
-           typeof item.mon === 'string' &&
-           typeof item.npc === 'string'
-         ) &&
-         data.Monlist.every(mon =>
-           mon &&
-           typeof mon.name === 'string' &&
-           typeof mon.map === 'string'
-         ) &&
-         data.Maplist.every(map =>
-           map &&
-           typeof map.name === 'string'
-         ) &&
-         data.Npclist.every(npc =>
-           npc &&
-           typeof npc.name === 'string'
-         );
-}
-
-function isValidVersion(version) {
-  if (typeof version !== 'string' || version.length === 0) return false;
-  // Check against the configured version list to ensure it's valid
-  if (typeof window.version_list !== 'undefined') {
-    return window.version_list.some(v => v.data === version);
-  }
-  return /^[A-Za-z0-9_]+$/.test(version); // Basic regex validation
-}
-
-function sanitizedName(name) {
-  // Ensure the name consists only of allowed characters for security
-  return name.replace(/[^A-Za-z0-9_]/g, '');
-}
-
-// Function to perform fuzzy matching - checks if all characters of needle appear in haystack in order
-function matchesFuzzily(haystack, needle) {
-  if (!needle || !haystack) return !needle;
-
-  // Use a more robust algorithm that handles both English and Chinese characters properly
-  let haystackIndex = 0;
-  let needleIndex = 0;
-
-  // Iterate through each character in the haystack
-  while (haystackIndex < haystack.length && needleIndex < needle.length) {
-    // If current characters match (case-insensitive), advance needle index
-    if (haystack.charAt(haystackIndex).toLowerCase() === needle.charAt(needleIndex).toLowerCase()) {
-      needleIndex++;
-    }
-    // Always advance haystack index
-    haystackIndex++;
-  }
-
-  // Return true only if we've matched all characters in the needle
-  return needleIndex === needle.length;
-}
-
-// Parse game data safely from the response text
-function parseGameData(dataText) {
-  // Use a more isolated approach to avoid variable conflicts
-  try {
-    // Create a function that executes the data in its own scope
-    const func = new Function(`
-      "use strict";
-      var result = { DataName: undefined, Stdlist: undefined, Monlist: undefined, Maplist: undefined, Npclist: undefined };
-      (function() {
-        var DataName, Stdlist, Monlist, Maplist, Npclist;
-        ${dataText}
-        result.DataName = typeof DataName !== 'undefined' ? DataName : undefined;
-        result.Stdlist = typeof Stdlist !== 'undefined' ? Stdlist : undefined;
-        result.Monlist = typeof Monlist !== 'undefined' ? Monlist : undefined;
-        result.Maplist = typeof Maplist !== 'undefined' ? Maplist : undefined;
-        result.Npclist = typeof Npclist !== 'undefined' ? Npclist : undefined;
-      })();
-      return result;
-    `);
-
-    return func();
-  } catch (e) {
-    console.error('Error parsing data:', e);
-    throw new Error('Failed to parse game data: ' + e.message);
-  }
-}
-
-function safelyGetPropertyName(obj, prop, defaultValue = '') {
-  try {
-    if (obj && typeof obj === 'object' && obj !== null && prop in obj) {
-      const value = obj[prop];
-      // Handle null, undefined, and other non-string/number values safely
-      if (value === null || value === undefined) {
-        return defaultValue;
-      }
-      if (typeof value === 'string' || typeof value === 'number') {
-        return value.toString();
-      }
-      // For other types, convert to string safely
-      return String(value);
-    }
-    return defaultValue;
-  } catch (error) {
-    console.warn('Error accessing property', prop, error);
-    return defaultValue;
-  }
-}
-
-// Initialize indexed data for faster lookups
-function initializeIndex() {
-  if (typeof Stdlist !== 'undefined' && Array.isArray(Stdlist)) {
-    indexedData = {
-      byName: new Map(),
-      byMonster: new Map(),
-      byNpc: new Map()
-    };
-
-    for (let i = 0; i < Stdlist.length; i++) {
-      const item = Stdlist[i];
-      if (item && item.name) {
-        const lowerName = item.name.toLowerCase();
-
-        // Index by name
-        if (!indexedData.byName.has(lowerName)) {
-          indexedData.byName.set(lowerName, []);
-        }
-        indexedData.byName.get(lowerName).push(i);
-
-        // Index by monster
-        if (item.mon && item.mon !== "-1") {
-          const monsterIds = item.mon.split(",");
-          for (const monId of monsterIds) {
-            if (monId !== "") {
-              if (!indexedData.byMonster.has(monId)) {
-                indexedData.byMonster.set(monId, []);
-              }
-              indexedData.byMonster.get(monId).push(i);
-            }
-          }
-        }
-
-        // Index by npc
-        if (item.npc && item.npc !== "-1") {
-          const npcIds = item.npc.split(",");
-          for (const npcId of npcIds) {
-            if (npcId !== "") {
-              if (!indexedData.byNpc.has(npcId)) {
-                indexedData.byNpc.set(npcId, []);
-              }
-              indexedData.byNpc.get(npcId).push(i);
-            }
-          }
-        }
-      }
-    }
-  }
-}
+// Cache of the matches of recent searches (see rememberSearchResult)
+let itemSearchCache = new Map();
 
 // Initialize item search functionality
 $(function () {
-  // Set up search button click handler
-  $("#search").click(function () {
-    // Clear previous results
-    $("#monList, #mapList, #mapTransferList, #equList").html("");
-    // Search for items by keyword
-    getEquByKey();
-  });
-
   // Use event delegation for both native and layui select elements
   $(document).on('change', '#itemFilter, select[lay-filter="itemFilter"]', function() {
     const selectedValue = $(this).val();
     console.log("Filter changed to: ", selectedValue); // Debug log
-    // Clear previous results when filter changes
-    $("#monList, #mapList, #mapTransferList, #equList").html("");
+    // Clear previous results when filter changes; #equList is re-rendered in place to keep its scroll position
+    $("#monList, #mapList, #mapTransferList").html("");
     // Refresh items based on new filter
     getEquByKey();
   });
 
-  // Initialize layui form elements if available
-  if (typeof layui !== 'undefined' && layui.form) {
-    // Add the lay-filter attribute to the select element to enable layui events
-    $('#itemFilter').attr('lay-filter', 'itemFilter');
+  // Category checkboxes are native inputs (lay-ignore), so the change event is enough
+  $(document).on("change", "#itemCategoryFilter input", function () {
+    $("#monList, #mapList, #mapTransferList").html("");
+    getEquByKey();
+  });
 
+  if (typeof layui !== 'undefined' && layui.form) {
     // Also listen for layui's select event as an additional measure
     layui.form.on('select', function(data) {
       // Only handle our specific filter
       if (data.elem.id === 'itemFilter' || data.filter === 'itemFilter') {
         console.log("Layui filter changed to: ", data.value); // Debug log
-        // Clear previous results when filter changes
-        $("#monList, #mapList, #mapTransferList, #equList").html("");
+        // Clear previous results when filter changes; #equList is re-rendered in place to keep its scroll position
+        $("#monList, #mapList, #mapTransferList").html("");
         // Refresh items based on new filter
         getEquByKey();
       }
     });
-
-    // Render the form elements to apply layui styles and activate the listeners
-    layui.form.render();
   }
+});
 
-  // Check URL for version parameter first
-  var searchParams = new URLSearchParams(window.location.search);
-  var versionParam = searchParams.get("v");
-
-  if (versionParam) {
-    // Set the version in cookies if provided in URL
-    if (typeof version_list !== "undefined") {
-      for (let i = 0; i < version_list.length; i++) {
-        if (version_list[i].data === versionParam) {
-          $.cookie("version_name", version_list[i].name);
-          $.cookie("version_data", version_list[i].data);
-          break;
-        }
-      }
+// Item view of the app shell (app.html#/item, #/item/<itemId>)
+AppRouter.registerView("item", {
+  template: "view-item",
+  title: "通过物品查怪物地图",
+  init: function (state) {
+    // Add the lay-filter attribute to the select element to enable layui events
+    $('#itemFilter').attr('lay-filter', 'itemFilter');
+    renderItemCategoryFilter(state && state.itemCategory);
+    if (typeof layui !== 'undefined' && layui.form) {
+      // Render the form elements to apply layui styles
+      layui.form.render();
     }
-  }
-
-  // Set default value for item filter and ensure layui renders it properly first
-  $("#itemFilter").val('hasOrigin');
-  if (typeof layui !== 'undefined' && layui.form) {
-    layui.form.render('select'); // Re-render just the select elements
-  }
-
-  // Load data if not already loaded
-  if (typeof Stdlist === "undefined" || Stdlist.length === 0) {
-    loadGameData();
-  } else {
-    // Data already loaded, initialize
-    initializeIndex(); // Initialize index in case data was already loaded
+  },
+  search: function () {
+    // Clear previous results
+    $("#monList, #mapList, #mapTransferList, #equList").html("");
+    // Search for items by keyword
     getEquByKey();
-  }
+  },
+  open: getMonByWp,
 });
 
-// Function to load game data based on selected version
-function loadGameData() {
-  // Get the selected version from cookie or default to first
-  var selectedVersion = $.cookie("version_data");
-
-  if (selectedVersion) {
-    // Validate version against known versions for security
-    if (!isValidVersion(selectedVersion)) {
-      console.error("Invalid version provided:", selectedVersion);
-      alert("无效的游戏版本");
-      return;
-    }
-
-    // Use safer approach to load data - fetch the file content and evaluate it securely
-    fetch(`../data/${sanitizedName(selectedVersion)}.js`)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`网络响应不正常: ${response.status} ${response.statusText}`);
-        }
-        return response.text();
-      })
-      .then(text => {
-        if (!text || text.trim().length === 0) {
-          throw new Error('返回的数据为空');
-        }
-
-        // Parse the data safely by evaluating in a controlled environment
-        const data = parseGameData(text);
-        if (isValidGameData(data)) {
-          // Temporarily store the original values to restore them after
-          const originalStdlist = window.Stdlist;
-          const originalMonlist = window.Monlist;
-          const originalMaplist = window.Maplist;
-          const originalNpclist = window.Npclist;
-          const originalDataName = window.DataName;
-
-          try {
-            // Assign the new data
-            window.Stdlist = data.Stdlist || [];
-            window.Monlist = data.Monlist || [];
-            window.Maplist = data.Maplist || [];
-            window.Npclist = data.Npclist || [];
-            window.DataName = data.DataName || '';
-
-            initializeIndex(); // Initialize index for faster searches
-            getEquByKey();
-          } catch (e) {
-            // If anything goes wrong, restore the original values
-            window.Stdlist = originalStdlist;
-            window.Monlist = originalMonlist;
-            window.Maplist = originalMaplist;
-            window.Npclist = originalNpclist;
-            window.DataName = originalDataName;
-            throw e;
-          }
-        } else {
-          throw new Error('数据格式验证失败');
-        }
-      })
-      .catch(error => {
-        console.error("Failed to load data:", error);
-        // Show a more user-friendly error message while logging the full error for debugging
-        alert("无法加载数据，请检查版本选择");
-      });
-  } else {
-    console.warn("No version selected in cookies");
-    alert("请先选择游戏版本");
-    window.location.href = "../index.html";
-  }
-}
-
 // Search for equipment/items based on keyword
 function getEquByKey() {
+  const Stdlist = GameDataStore.getList("Stdlist");
   // Check if Stdlist exists and has data
-  if (typeof Stdlist === "undefined" || !Array.isArray(Stdlist) || Stdlist.length === 0) {
+  if (Stdlist.length === 0) {
     $("#equList").html("没有可用的数据，请检查版本选择");
     return;
   }
@@ -360,147 +93,62 @@ function getEquByKey() {
   // Debug log to see what filterType is being used
   console.log("Current filterType: ", filterType);
 
-  // Get the search keyword from input field and sanitize it
-  let keyword = $("#key").val();
-  keyword = sanitizeInput(keyword).toLowerCase();
-
-  let cacheKey = null; // Initialize cacheKey to handle both empty and non-empty keyword cases
-
-  // Clear cache for empty keyword to ensure fresh results when showing all items
-  if (keyword === "") {
-    searchCache.clear(); // Clear cache when showing all items to avoid stale bindings
-  } else {
-    // Use cache if available for non-empty keywords
-    cacheKey = `fuzzy_${keyword}_${filterType}_${Stdlist.length}`; // Updated cache key to include filter type
-    if (searchCache.has(cacheKey)) {
-      const cachedResult = searchCache.get(cacheKey);
-      const container = document.getElementById('equList');
-      if (container) {
-        container.innerHTML = '';
-        container.appendChild(cachedResult);
-      }
-      return;
-    }
+  // Get the search query from the input field. It is only matched against names and never
+  // inserted as HTML, so it is not escaped: quotes delimit phrases (see parseSearchQuery)
+  const keyword = ($("#key").val() || "").trim().toLowerCase();
+
+  // Checked categories, none meaning every category
+  const categories = getSelectedItemCategories();
+
+  // Cache the matches, not the rows, so repeated searches render clickable rows again
+  const cacheKey = `${keyword}_${filterType}_${categories.join(",")}_${Stdlist.length}`;
+  let matches = itemSearchCache.get(cacheKey);
+  if (!matches) {
+    // The store returns every index for an empty query, otherwise the matches best first
+    matches = GameDataStore.searchRecords("Stdlist", keyword).filter((match) => {
+      const item = Stdlist[match.id];
+      // Check if the item should be displayed based on filter type
+      return (
+        item &&
+        (filterType === 'all' || item.mon !== "-1" || item.npc !== "-1") &&
+        (categories.length === 0 || categories.includes(GameDataStore.getItemCategory(match.id)))
+      );
+    });
+    rememberSearchResult(itemSearchCache, cacheKey, matches);
   }
 
-  // Create document fragment for efficient DOM manipulation
-  const fragment = document.createDocumentFragment();
-
-  if (keyword !== "") {
-    // Use indexed data for faster search if available
-    if (indexedData && indexedData.byName) {
-      // Search through indexed data - implement fuzzy search
-      for (const [name, indices] of indexedData.byName.entries()) {
-        // For fuzzy search, check if all characters of keyword appear in name in order
-        if (matchesFuzzily(name, keyword)) {
-          for (const i of indices) {
-            try {
-              const item = Stdlist[i];
-              // Check if the item should be displayed based on filter type
-              const shouldDisplay = filterType === 'all' || (item && (item.mon !== "-1" || item.npc !== "-1"));
-              if (item && shouldDisplay) {
-                // Create element for the item entry with sanitized content
-                const itemDiv = document.createElement('div');
-                itemDiv.className = 'hove';
-                itemDiv.setAttribute('listId', i);
-                itemDiv.setAttribute('monId', item.mon || '');
-                // Capture the itemId using closure to ensure correct value even after list updates
-                itemDiv.onclick = (function(itemId) {
-                  return function() {
-                    getMonByWp(itemId);
-                  };
-                })(i);
-                itemDiv.textContent = `${i + 1}、${item.name}`;
-                fragment.appendChild(itemDiv);
-              }
-            } catch (error) {
-              console.warn(`Error processing item at index ${i}:`, error);
-              continue; // Skip this item and continue with the next
-            }
-          }
-        }
-      }
-    } else {
-      // Fallback to original search if index is not available
-      for (let i = 0; i < Stdlist.length; i++) {
-        try {
-          const item = Stdlist[i];
-          // Check if item and name exist and item name contains the keyword using fuzzy search
-          if (item && item.name && typeof item.name === 'string') {
-            // Use fuzzy search with case-insensitive matching for both English and Chinese
-            const itemNameLower = item.name.toLowerCase();
-            if (matchesFuzzily(itemNameLower, keyword)) {
-              // Check if the item should be displayed based on filter type
-              const shouldDisplay = filterType === 'all' || (item.mon !== "-1" || item.npc !== "-1");
-              if (shouldDisplay) {
-                // Create element for the item entry with sanitized content
-                const itemDiv = document.createElement('div');
-                itemDiv.className = 'hove';
-                itemDiv.setAttribute('listId', i);
-                itemDiv.setAttribute('monId', item.mon || '');
-                // Capture the itemId using closure to ensure correct value even after list updates
-                itemDiv.onclick = (function(itemId) {
-                  return function() {
-                    getMonByWp(itemId);
-                  };
-                })(i);
-                itemDiv.textContent = `${i + 1}、${item.name}`;
-                fragment.appendChild(itemDiv);
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(`Error processing item at index ${i}:`, error);
-          continue; // Skip this item and continue with the next
-        }
-      }
-    }
-  } else {
-    // Show all items if no keyword provided, but filtered by selected type
-    for (let i = 0; i < Stdlist.length; i++) {
-      try {
-        const item = Stdlist[i];
-        // Check if the item should be displayed based on filter type
-        const shouldDisplay = filterType === 'all' || (item && (item.mon !== "-1" || item.npc !== "-1"));
-        if (item && shouldDisplay) {
-          const itemDiv = document.createElement('div');
-          itemDiv.className = 'hove';
-          itemDiv.setAttribute('listId', i);
-          itemDiv.setAttribute('monId', item.mon || '');
-          // Use direct event binding with closure to ensure proper itemId capture
-          (function(index) {
-            itemDiv.onclick = function() {
-              getMonByWp(index);
-            };
-          })(i);
-          itemDiv.textContent = `${i + 1}、${item.name}`;
-          fragment.appendChild(itemDiv);
-        }
-      } catch (error) {
-        console.warn(`Error processing item at index ${i}:`, error);
-        continue; // Skip this item and continue with the next
-      }
-    }
-  }
+  renderSearchResults("Stdlist", matches, keyword);
+}
 
-  // Cache the result for future use (limit cache size) only for non-empty keywords
-  if (keyword !== "") {
-    if (searchCache.size >= MAX_CACHE_SIZE) {
-      // Remove the first item in the cache (oldest)
-      const firstKey = searchCache.keys().next().value;
-      searchCache.delete(firstKey);
-    }
-    searchCache.set(cacheKey, fragment.cloneNode(true));
+// Fill #itemCategoryFilter with a checkbox per category (ITEM_CATEGORIES), checking the
+// given keys (the categories checked when the view was last left)
+function renderItemCategoryFilter(checkedKeys) {
+  const container = document.getElementById("itemCategoryFilter");
+  if (!container) return;
+  const fragment = document.createDocumentFragment();
+  for (const category of ITEM_CATEGORIES) {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "itemCategory";
+    checkbox.value = category.key;
+    checkbox.checked = Array.isArray(checkedKeys) && checkedKeys.includes(category.key);
+    checkbox.setAttribute("lay-ignore", "");
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(category.label));
+    fragment.appendChild(label);
   }
+  container.innerHTML = "";
+  container.appendChild(fragment);
+}
 
-  // Clear and append the entire fragment at once for efficiency
-  const container = document.getElementById('equList');
-  if (container) {
-    container.innerHTML = '';
-    container.appendChild(fragment);
-  } else {
-    console.error("Container element 'equList' not found");
-  }
+// Keys of the checked categories, in ITEM_CATEGORIES order
+function getSelectedItemCategories() {
+  return $("#itemCategoryFilter input:checked")
+    .map(function () {
+      return this.value;
+    })
+    .get();
 }
 
 // Get monsters that drop the selected item
@@ -511,25 +159,20 @@ function getMonByWp(itemId) {
   );
   $(".npclink").hide();
 
-  // Check if Stdlist exists and the itemId is valid
-  if (typeof Stdlist === "undefined" || Stdlist.length <= itemId) {
+  // Check if the itemId points to a loaded item
+  const item = GameDataStore.getRecord("Stdlist", itemId);
+  if (!item) {
     $("#monList").html("物品数据不可用");
     return;
   }
 
   // 安全ly get the item name and display
   let itemName = "";
-  if (
-    typeof Stdlist !== "undefined" &&
-    Stdlist.length > itemId &&
-    Stdlist[itemId] &&
-    Stdlist[itemId].name
-  ) {
-    let item = Stdlist[itemId].name;
+  if (item.name) {
     // Use textContent to prevent XSS, then wrap in span for styling
     const span = document.createElement('span');
     span.style.color = 'orangered';
-    span.textContent = item;
+    span.textContent = item.name;
     itemName = span.outerHTML + '&emsp;';
   }
 
@@ -541,34 +184,32 @@ function getMonByWp(itemId) {
   monTitleContainer.innerHTML = '';
   monTitleContainer.insertAdjacentHTML('afterbegin', itemName);
   monTitleContainer.insertAdjacentText('beforeend', ' 可以在这些怪物或NPC获取（点击怪物查看地图）');
+  monTitleContainer.insertAdjacentHTML('beforeend', `<span class="hove" onclick="getStdInfo(${parseInt(itemId, 10)})">【物品详情】</span>`);
+  monTitleContainer.insertAdjacentHTML('beforeend', `<span class="hove" onclick="AppRouter.navigate('plan', ${parseInt(itemId, 10)})">【加入刷怪规划】</span>`);
+  monTitleContainer.insertAdjacentHTML('beforeend', favoriteToggleHtml("Stdlist", parseInt(itemId, 10)));
 
-  // Check if the selected item's monster list is not '-1' (meaning it drops from monsters)
-  if (Stdlist[itemId].mon !== "-1") {
-    // Get the monster IDs that drop this item
-    const monsterIds = Stdlist[itemId].mon.split(",");
-
+  // Drop sources come from the store already sorted from most to least likely
+  const drops = GameDataStore.getItemDrops(itemId);
+  if (drops.length > 0) {
     // Create document fragment for efficient DOM manipulation
     const fragment = document.createDocumentFragment();
 
-    for (let i = 0; i < monsterIds.length; i++) {
-      if (monsterIds[i] !== "") {
-        const monsterId = parseInt(monsterIds[i], 10);
-        if (!isNaN(monsterId) && Monlist[monsterId]) {
-          // Get the monster name using our function which tries to get it from monlist first
-          const monsterName = safelyGetPropertyName(Monlist[monsterId], 'name', `怪物${monsterId}`);
-          const monsterMap = safelyGetPropertyName(Monlist[monsterId], 'map', '');
-
-          // Create monster entry that allows viewing maps when clicked
-          const monsterDiv = document.createElement('div');
-          monsterDiv.className = 'hove';
-          monsterDiv.setAttribute('listId', i);
-          monsterDiv.setAttribute('mapId', monsterMap);
-          monsterDiv.onclick = () => getMapByMon(monsterId);
-          monsterDiv.textContent = `${i + 1}、${monsterName}`;
-          fragment.appendChild(monsterDiv);
-        }
-      }
-    }
+    drops.forEach((drop, i) => {
+      // Drops name monsters by ID, which is not always their Monlist index
+      const monIndex = GameDataStore.getMonsterIndex(drop.monId);
+      const monster = GameDataStore.getRecord("Monlist", monIndex);
+      const monsterName = safelyGetPropertyName(monster, 'name', `怪物${drop.monId}`);
+      const monsterMap = safelyGetPropertyName(monster, 'map', '');
+
+      // Create monster entry that allows viewing maps when clicked
+      const monsterDiv = document.createElement('div');
+      monsterDiv.className = 'hove';
+      monsterDiv.setAttribute('listId', i);
+      monsterDiv.setAttribute('mapId', monsterMap);
+      monsterDiv.onclick = () => getMapByMon(monIndex);
+      monsterDiv.textContent = `${i + 1}、${monsterName}${formatDropLabel(drop)}`;
+      fragment.appendChild(monsterDiv);
+    });
 
     const container = document.getElementById('monList');
     container.innerHTML = '';
@@ -577,11 +218,12 @@ function getMonByWp(itemId) {
     $("#monList").html("该物品不从怪物掉落");
   }
 
-  // Handle NPC data if available
-  if (Stdlist[itemId].npc !== "-1") {
+  // Handle NPC data if available; each NPC is labelled with what it does with the item
+  const itemNpcs = GameDataStore.getItemNpcs(itemId);
+  if (item.npc !== "-1") {
     // Show NPC section
     $(".npclink").show();
-    const npcIds = Stdlist[itemId].npc.split(",");
+    const npcIds = item.npc.split(",");
 
     // Create document fragment for efficient DOM manipulation
     const fragment = document.createDocumentFragment();
@@ -589,20 +231,26 @@ function getMonByWp(itemId) {
     for (let i = 0; i < npcIds.length; i++) {
       if (npcIds[i] !== "") {
         const npcId = parseInt(npcIds[i], 10);
-        if (!isNaN(npcId) && Npclist[npcId]) {
+        const npc = GameDataStore.getRecord("Npclist", npcId);
+        if (!isNaN(npcId) && npc) {
           // Get the NPC name using our function which tries to get it from npclist first
-          const npcName = safelyGetPropertyName(Npclist[npcId], 'name', `NPC${npcId}`);
-          const npcMapName = safelyGetPropertyName(Npclist[npcId], 'mname', '');
-          const npcMapPoint = safelyGetPropertyName(Npclist[npcId], 'mxy', '');
+          const npcName = safelyGetPropertyName(npc, 'name', `NPC${npcId}`);
+          const npcMapName = safelyGetPropertyName(npc, 'mname', '');
+          const npcMapPoint = safelyGetPropertyName(npc, 'mxy', '');
+
+          const roles = [];
+          if (itemNpcs.give.includes(npcId)) roles.push('给予');
+          if (itemNpcs.take.includes(npcId)) roles.push('收取');
 
-          // Create NPC entry that allows viewing maps when clicked
+          // Create NPC entry that shows its map, the route there and its trades when clicked
           const npcDiv = document.createElement('div');
           npcDiv.className = 'hove';
           npcDiv.setAttribute('listId', i);
           npcDiv.setAttribute('npcId', npcId);
+          npcDiv.onclick = () => getMapByNpc(npcId);
 
           // Create text content with proper formatting
-          const content = `${i + 1}、${npcName}【${npcMapName}(${npcMapPoint})】`;
+          const content = `${i + 1}、${npcName}【${npcMapName}(${npcMapPoint})】${roles.length > 0 ? `（${roles.join('/')}）` : ''}`;
           npcDiv.textContent = content;
           fragment.appendChild(npcDiv);
         }
@@ -622,28 +270,108 @@ function getMonByWp(itemId) {
   $("#mapTransferTitle").html("跑图流程（没有信息说明此地图是触发进入）");
 }
 
-// Get maps for the selected monster
+// Show where the selected NPC stands, the route to its map and everything it takes and gives
+function getMapByNpc(npcId) {
+  // Clear previous results
+  $("#mapList, #mapTransferList, #mapTransferTitle, #dingshiTitle, #dingshicon").html("");
+  $(".layui-card.dingshi").hide();
+
+  const npc = GameDataStore.getRecord("Npclist", npcId);
+  if (!npc) {
+    $("#mapList").html("NPC数据不可用");
+    return;
+  }
+
+  // Use textContent to prevent XSS, then wrap in span for styling
+  const span = document.createElement('span');
+  span.style.color = 'mediumvioletred';
+  span.textContent = safelyGetPropertyName(npc, 'name', `NPC${npcId}`);
+
+  const mapTitleContainer = document.getElementById('mapTitle');
+  mapTitleContainer.innerHTML = '';
+  mapTitleContainer.insertAdjacentHTML('afterbegin', span.outerHTML + '&emsp;');
+  mapTitleContainer.insertAdjacentText('beforeend', '所在地图及交易物品（点击地图查看跑图流程）');
+  mapTitleContainer.insertAdjacentHTML('beforeend', `<span class="hove" onclick="AppRouter.navigate('npc', ${parseInt(npcId, 10)})">【NPC详情】</span>`);
+  mapTitleContainer.insertAdjacentHTML('beforeend', favoriteToggleHtml("Npclist", parseInt(npcId, 10)));
+
+  // Create document fragment for efficient DOM manipulation
+  const fragment = document.createDocumentFragment();
+
+  // The NPC's map, found by the name in mname
+  const mapId = GameDataStore.getNpcMap(npcId);
+  const npcMapName = safelyGetPropertyName(npc, 'mname', '');
+  const npcMapPoint = safelyGetPropertyName(npc, 'mxy', '');
+  const mapDiv = document.createElement('div');
+  if (mapId !== -1) {
+    mapDiv.className = 'hove';
+    mapDiv.onclick = () => getPathByMap(mapId);
+  }
+  mapDiv.textContent = npcMapName
+    ? `所在地图：${npcMapName}${npcMapPoint ? `(${npcMapPoint})` : ''}${mapId === -1 ? '（不在地图列表中）' : ''}`
+    : '所在地图：未知';
+  fragment.appendChild(mapDiv);
+
+  // Items taken and given, each opening in this view
+  const trades = [
+    { legend: 'NPC收取', ids: parseIdList(npc.take) },
+    { legend: 'NPC给予', ids: parseIdList(npc.give) },
+  ];
+  for (const trade of trades) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'layui-elem-field';
+    const legend = document.createElement('legend');
+    legend.textContent = trade.legend;
+    fieldset.appendChild(legend);
+
+    const box = document.createElement('div');
+    box.className = 'layui-field-box';
+    let count = 0;
+    for (const tradeItemId of trade.ids) {
+      const tradeItem = GameDataStore.getRecord("Stdlist", tradeItemId);
+      if (!tradeItem) continue;
+      count++;
+      const itemDiv = document.createElement('div');
+      itemDiv.className = 'hove';
+      itemDiv.onclick = () => AppRouter.navigate('item', tradeItemId);
+      itemDiv.textContent = `${count}、${safelyGetPropertyName(tradeItem, 'name', `物品${tradeItemId}`)}`;
+      box.appendChild(itemDiv);
+    }
+    if (count === 0) {
+      box.textContent = '无';
+    }
+    fieldset.appendChild(box);
+    fragment.appendChild(fieldset);
+  }
+
+  const container = document.getElementById('mapList');
+  container.innerHTML = '';
+  container.appendChild(fragment);
+
+  // The route to the NPC's map is shown right away
+  if (mapId !== -1) {
+    getPathByMap(mapId);
+  } else {
+    $("#mapTransferTitle").html("跑图流程（NPC所在地图未知）");
+  }
+}
+
+// Get maps for the selected monster (a Monlist index)
 function getMapByMon(monId) {
   // Clear previous results
   $("#mapList, #mapTransferList,#dingshiTitle,#dingshicon").html("");
 
-  if (typeof Monlist !== "undefined" && Monlist.length < monId) {
+  const monster = GameDataStore.getRecord("Monlist", monId);
+  if (!monster) {
     $("#mapList").html("怪物数据不可用");
     return;
   }
 
   let monName = "";
-  if (
-    typeof Monlist !== "undefined" &&
-    Monlist.length > monId &&
-    Monlist[monId] &&
-    Monlist[monId].name
-  ) {
-    let mon = Monlist[monId].name;
+  if (monster.name) {
     // Use textContent to prevent XSS, then wrap in span for styling
     const span = document.createElement('span');
     span.style.color = 'mediumvioletred';
-    span.textContent = mon;
+    span.textContent = monster.name;
     monName = span.outerHTML + '&emsp;';
   }
 
@@ -653,8 +381,8 @@ function getMapByMon(monId) {
   mapTitleContainer.insertAdjacentHTML('afterbegin', monName);
   mapTitleContainer.insertAdjacentText('beforeend', '所在地图名称（没有地图说明这个怪物不刷出）');
 
-  if (Monlist[monId].map !== "-1") {
-    const mapIds = Monlist[monId].map.split(",");
+  if (monster.map !== "-1") {
+    const mapIds = monster.map.split(",");
 
     // Create document fragment for efficient DOM manipulation
     const fragment = document.createDocumentFragment();
@@ -662,9 +390,10 @@ function getMapByMon(monId) {
     for (let i = 0; i < mapIds.length; i++) {
       if (mapIds[i] !== "") {
         const mapId = parseInt(mapIds[i], 10);
-        if (!isNaN(mapId) && Maplist[mapId]) {
-          const mapName = safelyGetPropertyName(Maplist[mapId], 'name', `地图${mapId}`);
-          const mapPath = safelyGetPropertyName(Maplist[mapId], 'path', '');
+        const map = GameDataStore.getRecord("Maplist", mapId);
+        if (!isNaN(mapId) && map) {
+          const mapName = safelyGetPropertyName(map, 'name', `地图${mapId}`);
+          const mapPath = safelyGetPropertyName(map, 'path', '');
 
           const mapDiv = document.createElement('div');
           mapDiv.className = 'hove';
@@ -684,8 +413,8 @@ function getMapByMon(monId) {
     $("#mapList").html("没有地图刷新");
   }
 
-  if(Monlist[monId].bot !== "-1"){
-    const monRefrushs = Monlist[monId].bot.split(",");
+  if(monster.bot && monster.bot !== "-1"){
+    const monRefrushs = monster.bot.split(",");
 
     // Create document fragment for efficient DOM manipulation
     const fragment = document.createDocumentFragment();
@@ -715,102 +444,3 @@ function getMapByMon(monId) {
     $(".layui-card.dingshi").hide();
   }
 }
-
-function getPathByMap(mapId){
-  $("#mapTransferList").html("");
-
-  // 安全ly获取物品名称并显示
-  let mapName = "";
-  if (
-    typeof Maplist !== "undefined" &&
-    Maplist.length > mapId &&
-    Maplist[mapId] &&
-    Maplist[mapId].name
-  ) {
-    let map = Maplist[mapId].name;
-    // Use textContent to prevent XSS, then wrap in span for styling
-    const span = document.createElement('span');
-    span.style.color = 'orangered';
-    span.textContent = map;
-    mapName = span.outerHTML + '&emsp;';
-  }
-
-  // Update mapTransferTitle safely using DOM manipulation
-  const mapTransferTitleContainer = document.getElementById('mapTransferTitle');
-  mapTransferTitleContainer.innerHTML = '';
-  mapTransferTitleContainer.insertAdjacentHTML('afterbegin', mapName);
-  mapTransferTitleContainer.insertAdjacentText('beforeend', '跑图流程（没有信息说明此地图是触发进入）');
-
-  // Create document fragment for efficient DOM manipulation
-  const fragment = document.createDocumentFragment();
-  let hasContent = false;
-
-  if(Maplist[mapId].npc !== "-1"){
-    const npcList = Maplist[mapId].npc.split(",");
-    for(let i = 0; i < npcList.length; i++){
-      if (npcList[i] !== "") {
-        const npcId = parseInt(npcList[i], 10);
-        if (!isNaN(npcId) && Npclist[npcId]) {
-          const npcName = safelyGetPropertyName(Npclist[npcId], 'name', `NPC${npcId}`);
-          const mapName = safelyGetPropertyName(Npclist[npcId], 'mname', '');
-          const mapPoint = safelyGetPropertyName(Npclist[npcId], 'mxy', '');
-
-          // Create fieldset element for NPC info
-          const fieldset = document.createElement('fieldset');
-          fieldset.className = 'layui-elem-field';
-
-          const legend = document.createElement('legend');
-          legend.textContent = 'NPC直传';
-          fieldset.appendChild(legend);
-
-          const div = document.createElement('div');
-          div.className = 'layui-field-box';
-          div.textContent = `${npcName}【${mapName}(${mapPoint})】`;
-          fieldset.appendChild(div);
-
-          if (hasContent) {
-            const br = document.createElement('br');
-            fragment.appendChild(br);
-          }
-          fragment.appendChild(fieldset);
-          hasContent = true;
-        }
-      }
-    }
-  }
-  if(Maplist[mapId].path !== "-1"){
-    const pathList = Maplist[mapId].path.split(",");
-    for(let i = 0; i < pathList.length; i++){
-      if (pathList[i] !== "") {
-        if (hasContent) {
-          const br = document.createElement('br');
-          fragment.appendChild(br);
-        }
-
-        // Create fieldset element for path info
-        const fieldset = document.createElement('fieldset');
-        fieldset.className = 'layui-elem-field';
-
-        const legend = document.createElement('legend');
-        legend.textContent = '跑图路线';
-        fieldset.appendChild(legend);
-
-        const div = document.createElement('div');
-        div.className = 'layui-field-box';
-        div.textContent = pathList[i];
-        fieldset.appendChild(div);
-
-        fragment.appendChild(fieldset);
-        hasContent = true;
-      }
-    }
-  }
-
-  const container = document.getElementById('mapTransferList');
-  container.appendChild(fragment);
-}
-
-// Initialize the page - get all items by default only if data is available
-if (typeof Stdlist !== "undefined" && Stdlist.length > 0) {
-  getEquByKey();
-}
\ No newline at end of file
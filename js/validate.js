@@ -0,0 +1,92 @@
+/*
+ * Game Drop Rate Query System - validate.js
+ * Data diagnostics page listing every problem in a version's data
+ *
+ * Key features:
+ * - Checks a version from version_list or a local data file as it is on disk
+ * - Reports each problem with its list, record, field and a description:
+ *   IDs pointing nowhere, empty or duplicate names, malformed fields
+ * - The query pages still load the valid records of a version with problems
+ */
+
+// Problems found by the last check, kept for the list filter
+let lastProblems = [];
+
+// Load the data to check: the chosen local file if any, otherwise the selected version
+function loadDataToValidate() {
+  const fileInput = document.getElementById("dataFile");
+  const file = fileInput && fileInput.files && fileInput.files[0];
+  if (file) {
+    return readLocalFile(file).then((text) => ({
+      label: file.name,
+      data: parseDataFile(file.name, text),
+    }));
+  }
+
+  const version = $("#version").val();
+  if (!isValidVersion(version)) {
+    return Promise.reject(new Error("无效的游戏版本"));
+  }
+  return GameDataStore.fetchRawVersionData(version).then((data) => ({
+    label: $("#version option:selected").text(),
+    data: data,
+  }));
+}
+
+// Render the problems of the selected list into the report table
+function renderProblems() {
+  const listFilter = $("#listFilter").val();
+  let rowsHtml = "";
+  for (const problem of lastProblems) {
+    if (listFilter !== "all" && problem.list !== listFilter) continue;
+    rowsHtml +=
+      "<tr>" +
+      `<td>${sanitizeInput(GAME_LIST_LABELS[problem.list] || "")}</td>` +
+      `<td>${problem.index >= 0 ? problem.index : ""}</td>` +
+      `<td>${sanitizeInput(problem.name)}</td>` +
+      `<td>${sanitizeInput(problem.field)}</td>` +
+      `<td>${sanitizeInput(problem.message)}</td>` +
+      "</tr>";
+  }
+  $("#problemList").html(rowsHtml || '<tr><td colspan="5">没有发现问题</td></tr>');
+}
+
+// Summary line with the record and problem counts of every list
+function renderSummary(label, data) {
+  const parts = [];
+  for (const listName of Object.keys(GAME_LIST_LABELS)) {
+    const records = Array.isArray(data && data[listName]) ? data[listName].length : 0;
+    const problems = lastProblems.filter((problem) => problem.list === listName).length;
+    parts.push(`${GAME_LIST_LABELS[listName]} ${records} 条/${problems} 个问题`);
+  }
+  $("#validateSummary").text(`${label}：共 ${lastProblems.length} 个问题（${parts.join("，")}）`);
+}
+
+// Load the data and list its problems
+function runValidation() {
+  $("#validateSummary").text("正在加载数据...");
+  $("#problemList").html("");
+  lastProblems = [];
+
+  loadDataToValidate()
+    .then(({ label, data }) => {
+      lastProblems = validateGameData(data);
+      renderSummary(label, data);
+      renderProblems();
+    })
+    .catch((error) => {
+      console.error("Failed to validate data:", error);
+      $("#validateSummary").text("无法加载数据：" + error.message);
+    });
+}
+
+$(function () {
+  fillVersionSelect("#version");
+  $("#validate").click(runValidation);
+  $("#listFilter").change(renderProblems);
+
+  // Clear a picked file so the selected version is checked again
+  $("#clearFile").click(function () {
+    $("#dataFile").val("");
+  });
+});
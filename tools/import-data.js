@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+/*
+ * Game Drop Rate Query System - import-data.js
+ * Builds a version's data file from Mir2 server script dumps
+ *
+ * Usage:
+ *   node tools/import-data.js --name 追忆传奇 --out data/ZhuiYiChuanQi.json \
+ *     --stditems StdItems.csv --monsters Monster.csv \
+ *     --mongen Envir/MonGen.txt --monitems Envir/MonItems \
+ *     --mapinfo Envir/MapInfo.txt --merchant Envir/Merchant.txt \
+ *     --npclist Envir/Npcs.txt --npcs Envir/Market_Def --npcs Envir/Npc_def
+ *
+ * Inputs:
+ * - --stditems  StdItems DB export (CSV or tab separated, header row with a Name column;
+ *               a StdMode column, when present, gives each item its category)
+ * - --monsters  Monster DB export (same format as --stditems)
+ * - --mongen    MonGen.txt spawn list: map x y monster range count minutes
+ * - --monitems  MonItems folder, one <Monster>.txt per monster: 1/100 Item [count]
+ *               (an item listed twice for one monster with the same count is rolled
+ *               twice, so its chances are combined as 1 - (1 - p1)(1 - p2); lines
+ *               with different counts are kept as separate drops)
+ * - --mapinfo   MapInfo.txt, used for map display names (optional)
+ * - --merchant / --npclist  Merchant.txt and Npcs.txt NPC placement lists (optional)
+ * - --npcs      NPC script folder(s), scanned for TAKE/GIVE/MAPMOVE commands (repeatable)
+ * - --timed     Spawn interval in minutes from which a spawn is listed as 定时刷新 (default 60)
+ * - --encoding  Input encoding, default auto (UTF-8, falling back to GBK)
+ *
+ * The output file extension picks the format: .json writes the native format
+ * described in data/schema.json, .js writes the legacy `var Stdlist = ...` script.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+// Read a text file, decoding it as UTF-8 or as GBK when it is not valid UTF-8
+function readText(file, encoding) {
+  const buffer = fs.readFileSync(file);
+  if (encoding && encoding !== "auto") {
+    return new TextDecoder(encoding).decode(buffer);
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder("gbk").decode(buffer);
+  }
+}
+
+// Split a text file into trimmed lines without comments (";" or "//") or blanks
+function readLines(file, encoding) {
+  return readText(file, encoding)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s);.*$/, "").replace(/\/\/.*$/, "").trim())
+    .filter((line) => line !== "");
+}
+
+// Parse one CSV/TSV row, honouring double quoted fields
+function parseRow(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// Read a DB export into records, keyed by header names when a Name column exists
+// (fields then holds every column by its lower-cased header name)
+function readTable(file, encoding) {
+  const lines = readText(file, encoding)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+  if (lines.length === 0) return [];
+
+  const delimiter = lines[0].includes("\t") ? "\t" : ",";
+  const header = parseRow(lines[0], delimiter).map((name) => name.toLowerCase());
+  const nameColumn = header.findIndex((name) => name === "name" || name === "名称");
+
+  if (nameColumn === -1) {
+    // No header: the name is the first non-numeric column
+    return lines.map((line) => {
+      const row = parseRow(line, delimiter);
+      return { name: /^\d+$/.test(row[0]) ? row[1] : row[0], row: row };
+    });
+  }
+
+  const idxColumn = header.findIndex((name) => name === "idx" || name === "id");
+  const records = lines.slice(1).map((line) => {
+    const row = parseRow(line, delimiter);
+    const fields = {};
+    header.forEach((column, k) => {
+      fields[column] = row[k];
+    });
+    return {
+      name: row[nameColumn],
+      idx: idxColumn === -1 ? NaN : parseInt(row[idxColumn], 10),
+      row: row,
+      fields: fields,
+    };
+  });
+  // Keep DB order (Idx) when the export has one
+  if (idxColumn !== -1) {
+    records.sort((a, b) => (a.idx || 0) - (b.idx || 0));
+  }
+  return records.filter((record) => record.name);
+}
+
+// Map index of name -> position, warning about duplicate names
+function indexByName(records, label) {
+  const index = new Map();
+  records.forEach((record, i) => {
+    if (index.has(record.name)) {
+      console.warn(`[${label}] 重复的名称 "${record.name}"，使用第一个`);
+    } else {
+      index.set(record.name, i);
+    }
+  });
+  return index;
+}
+
+function addUnique(list, value) {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+}
+
+// Parse MapInfo.txt lines such as "[0 比奇省] ..." into code -> display name
+function readMapInfo(file, encoding) {
+  const names = new Map();
+  for (const line of readLines(file, encoding)) {
+    const match = /^\[\s*(\S+)\s+([^\]\s]+)/.exec(line);
+    if (match) {
+      names.set(match[1].toLowerCase(), match[2]);
+    }
+  }
+  return names;
+}
+
+// Parse Merchant.txt / Npcs.txt placement lines into { script, name, map, x, y }
+function readNpcPlacements(file, kind, encoding) {
+  const placements = [];
+  for (const line of readLines(file, encoding)) {
+    const fields = line.split(/\s+/);
+    if (kind === "merchant" && fields.length >= 5) {
+      // Script MapCode X Y Name ...
+      placements.push({ script: fields[0], map: fields[1], x: fields[2], y: fields[3], name: fields[4] });
+    } else if (kind === "npclist" && fields.length >= 5) {
+      // Name Type MapCode X Y ...
+      placements.push({ script: fields[0], name: fields[0], map: fields[2], x: fields[3], y: fields[4] });
+    }
+  }
+  return placements;
+}
+
+// List script files below the given folders
+function listScripts(folders) {
+  const files = [];
+  for (const folder of folders) {
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      const full = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...listScripts([full]));
+      } else if (/\.txt$/i.test(entry.name)) {
+        files.push(full);
+      }
+    }
+  }
+  return files;
+}
+
+// Add a drop source to an item, keeping rate and count aligned with mon. Lines repeating a
+// monster and count are combined into one chance, other counts stay separate entries
+function addDrop(item, monId, rate, count) {
+  const k = item.mon.findIndex((id, position) => id === monId && item.count[position] === count);
+  if (k === -1) {
+    item.mon.push(monId);
+    item.rate.push(rate);
+    item.count.push(count);
+    return;
+  }
+  const chance = (value) => {
+    if (typeof value === "number") return value;
+    const [numerator, denominator] = value.split("/").map(Number);
+    return Math.min(numerator / denominator, 1);
+  };
+  const combined = 1 - (1 - chance(item.rate[k])) * (1 - chance(rate));
+  item.rate[k] = Number(combined.toPrecision(6));
+}
+
+function buildVersionData(options) {
+  const encoding = options.encoding;
+  const itemRecords = readTable(options.stditems, encoding);
+  const monsterRecords = readTable(options.monsters, encoding);
+  const itemIndex = indexByName(itemRecords, "stditems");
+  const monsterIndex = indexByName(monsterRecords, "monsters");
+  const mapNames = options.mapinfo ? readMapInfo(options.mapinfo, encoding) : new Map();
+
+  const items = itemRecords.map((record) => {
+    const item = { name: record.name, mon: [], rate: [], count: [], npc: [] };
+    // StdMode puts the item in a category (weapon, ring, ...) on the item page
+    const stdmode = parseInt(record.fields && record.fields.stdmode, 10);
+    if (!isNaN(stdmode)) {
+      item.stdmode = stdmode;
+    }
+    return item;
+  });
+  const monsters = monsterRecords.map((record, i) => ({ id: i, name: record.name, map: [], bot: [], std: [] }));
+  const maps = [];
+  const mapIndex = new Map();
+  const npcs = [];
+
+  // Maps are created on first use, keyed by their server map code
+  function getMapId(code) {
+    const key = code.toLowerCase();
+    if (!mapIndex.has(key)) {
+      mapIndex.set(key, maps.length);
+      maps.push({ name: mapNames.get(key) || code, path: [], npc: [] });
+    }
+    return mapIndex.get(key);
+  }
+
+  function getItemId(name, source) {
+    if (!itemIndex.has(name)) {
+      console.warn(`[${source}] 未知物品 "${name}"`);
+      return -1;
+    }
+    return itemIndex.get(name);
+  }
+
+  // MonGen.txt: map x y monster range count minutes
+  if (options.mongen) {
+    for (const line of readLines(options.mongen, encoding)) {
+      const fields = line.split(/\s+/);
+      if (fields.length < 6) continue;
+      const [mapCode, x, y, monName, , count, minutes] = fields;
+      if (!monsterIndex.has(monName)) {
+        console.warn(`[mongen] 未知怪物 "${monName}"`);
+        continue;
+      }
+      const monster = monsters[monsterIndex.get(monName)];
+      const mapId = getMapId(mapCode);
+      addUnique(monster.map, mapId);
+
+      const interval = parseInt(minutes, 10);
+      if (!isNaN(interval) && interval >= options.timed) {
+        monster.bot.push(`${maps[mapId].name}(${x}:${y}) ${count}只 每${interval}分钟刷新`);
+      }
+    }
+  }
+
+  // MonItems/<Monster>.txt: 1/100 Item [count]
+  if (options.monitems) {
+    for (const file of listScripts([options.monitems])) {
+      const monName = path.basename(file, path.extname(file));
+      if (!monsterIndex.has(monName)) {
+        console.warn(`[monitems] 未知怪物 "${monName}"`);
+        continue;
+      }
+      const monId = monsterIndex.get(monName);
+      for (const line of readLines(file, encoding)) {
+        const match = /^(\d+)\/(\d+)\s+(\S+)(?:\s+(\d+))?/.exec(line);
+        if (!match || Number(match[2]) <= 0) continue;
+        const itemId = getItemId(match[3], "monitems");
+        if (itemId === -1) continue;
+        addDrop(items[itemId], monId, match[1] + "/" + match[2], parseInt(match[4], 10) || 1);
+        addUnique(monsters[monId].std, itemId);
+      }
+    }
+  }
+
+  // NPC placements give each script its name, map and coordinates
+  const placements = [];
+  if (options.merchant) placements.push(...readNpcPlacements(options.merchant, "merchant", encoding));
+  if (options.npclist) placements.push(...readNpcPlacements(options.npclist, "npclist", encoding));
+  const placementByScript = new Map();
+  for (const placement of placements) {
+    placementByScript.set(`${placement.script}-${placement.map}`.toLowerCase(), placement);
+    if (!placementByScript.has(placement.script.toLowerCase())) {
+      placementByScript.set(placement.script.toLowerCase(), placement);
+    }
+  }
+
+  // NPC scripts: TAKE/GIVE item count and MAPMOVE map x y
+  for (const file of listScripts(options.npcs)) {
+    const scriptName = path.basename(file, path.extname(file));
+    const placement =
+      placementByScript.get(scriptName.toLowerCase()) ||
+      placementByScript.get(scriptName.replace(/-[^-]*$/, "").toLowerCase());
+    const npcId = npcs.length;
+    const npc = {
+      name: placement ? placement.name : scriptName.replace(/-[^-]*$/, ""),
+      mname: placement ? mapNames.get(placement.map.toLowerCase()) || placement.map : "",
+      mxy: placement ? `${placement.x}:${placement.y}` : "",
+      take: [],
+      give: [],
+      move: [],
+    };
+
+    for (const line of readLines(file, encoding)) {
+      const [command, argument] = line.split(/\s+/);
+      const upper = (command || "").toUpperCase();
+      if (upper === "TAKE" || upper === "GIVE") {
+        const itemId = getItemId(argument, scriptName);
+        if (itemId === -1) continue;
+        addUnique(upper === "TAKE" ? npc.take : npc.give, itemId);
+        addUnique(items[itemId].npc, npcId);
+      } else if ((upper === "MAPMOVE" || upper === "MOVE") && argument) {
+        // A line without a target map is a script typo, not a teleport
+        const mapId = getMapId(argument);
+        addUnique(npc.move, mapId);
+        addUnique(maps[mapId].npc, npcId);
+      }
+    }
+
+    // Scripts that neither trade items nor teleport are not worth listing
+    if (npc.take.length > 0 || npc.give.length > 0 || npc.move.length > 0) {
+      npcs.push(npc);
+    }
+  }
+
+  return {
+    formatVersion: 1,
+    DataName: options.name || "",
+    items: items,
+    monsters: monsters,
+    maps: maps,
+    npcs: npcs,
+  };
+}
+
+// Join JSON arrays back into the legacy comma separated strings ("-1" when empty)
+function toLegacyScript(data) {
+  const join = (record) => {
+    const legacy = {};
+    for (const key of Object.keys(record)) {
+      const value = record[key];
+      legacy[key] = Array.isArray(value) ? (value.length > 0 ? value.join(",") : "-1") : value;
+    }
+    return legacy;
+  };
+  const list = (records) => "[\n" + records.map((record) => "  " + JSON.stringify(join(record))).join(",\n") + "\n]";
+
+  return [
+    `var DataName = ${JSON.stringify(data.DataName)};`,
+    `var Stdlist = ${list(data.items)};`,
+    `var Monlist = ${list(data.monsters)};`,
+    `var Maplist = ${list(data.maps)};`,
+    `var Npclist = ${list(data.npcs)};`,
+    "",
+  ].join("\n");
+}
+
+function parseArgs(argv) {
+  const options = { npcs: [], timed: 60, encoding: "auto" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`无法识别的参数: ${arg}`);
+    }
+    const key = arg.slice(2);
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`参数 ${arg} 缺少值`);
+    }
+    if (key === "npcs") {
+      options.npcs.push(value);
+    } else if (key === "timed") {
+      options.timed = parseInt(value, 10);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  for (const required of ["stditems", "monsters", "out"]) {
+    if (!options[required]) {
+      throw new Error(`缺少参数 --${required}`);
+    }
+  }
+  return options;
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const data = buildVersionData(options);
+    const output = /\.js$/i.test(options.out) ? toLegacyScript(data) : JSON.stringify(data, null, 1) + "\n";
+    fs.writeFileSync(options.out, output, "utf8");
+    console.log(
+      `已生成 ${options.out}: ${data.items.length} 物品, ${data.monsters.length} 怪物, ` +
+        `${data.maps.length} 地图, ${data.npcs.length} NPC`
+    );
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();